@@ -2,6 +2,20 @@ const TelegramBot = require('node-telegram-bot-api');
 const { ethers } = require('ethers');
 const axios = require('axios');
 const express = require('express');
+const path = require('path');
+const { CHAINS, getChain } = require('./src/chains');
+const { SimpleTokenAnalyzer } = require('./src/analyzer');
+const { AnalysisCache } = require('./src/cache');
+const { WatchlistStore } = require('./src/watchlist');
+const { LaunchStore } = require('./src/launches');
+const { LaunchMonitor } = require('./src/monitor');
+const { SettingsStore, SETTINGS } = require('./src/settings');
+const { AccessControl } = require('./src/access');
+const { translate } = require('./src/i18n');
+const { JobQueue } = require('./src/jobs');
+const { toCsv, toJson } = require('./src/export');
+const { DEFAULT_OPTIONS: TIMELINE_OPTIONS } = require('./src/timeline');
+const { createApiRouter } = require('./src/api');
 
 // Configuration
 const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
@@ -14,25 +28,8 @@ if (!TELEGRAM_BOT_TOKEN || !ETHEREUM_RPC_URL || !ETHERSCAN_API_KEY) {
     process.exit(1);
 }
 
-// Initialisation with retry and fallback
+// Initialisation
 const bot = new TelegramBot(TELEGRAM_BOT_TOKEN);
-let provider;
-
-// Configuration du provider avec fallback
-try {
-    provider = new ethers.JsonRpcProvider(ETHEREUM_RPC_URL, {
-        name: 'mainnet',
-        chainId: 1
-    });
-    console.log('🔗 Provider configured with main URL');
-} catch (error) {
-    console.error('❌ Main provider error:', error);
-    provider = new ethers.JsonRpcProvider('https://rpc.ankr.com/eth', {
-        name: 'mainnet', 
-        chainId: 1
-    });
-    console.log('🔄 Fallback to public Ankr RPC');
-}
 
 // Express server
 const app = express();
@@ -53,451 +50,908 @@ app.get('/', (req, res) => {
     `);
 });
 
-// Basic ABI
-const ERC20_ABI = [
-    "function decimals() external view returns (uint8)",
-    "function symbol() external view returns (string)",
-    "function name() external view returns (string)",
-    "function totalSupply() external view returns (uint256)"
-];
+// Telegram deep link opening a wallet profile, once the bot knows its own username
+let botUsername = null;
+
+function walletProfileUrl(chain, wallet) {
+    return botUsername ? `https://t.me/${botUsername}?start=w_${chain.key}_${wallet.slice(2)}` : null;
+}
+
+// Analyses are persisted so paging and repeated queries don't redo the work
+const analysisCache = new AnalysisCache(process.env.CACHE_DIR || path.join(__dirname, 'data', 'cache'));
+
+// Every analysis leaves a launch record, for /compare and /leaderboard
+const launchHistory = new LaunchStore(process.env.LAUNCHES_FILE || path.join(__dirname, 'data', 'launches.json'));
+
+// One analyzer per chain, created on first use
+const analyzers = new Map();
 
-class SimpleTokenAnalyzer {
-    constructor() {
-        this.provider = provider;
+function getAnalyzer(chain) {
+    if (!analyzers.has(chain.key)) {
+        analyzers.set(chain.key, new SimpleTokenAnalyzer(chain, analysisCache, { walletProfileUrl, launches: launchHistory }));
     }
+    return analyzers.get(chain.key);
+}
 
-    async getTokenInfo(contractAddress) {
-        try {
-            console.log(`🔍 Getting token info for: ${contractAddress}`);
-            
-            const contract = new ethers.Contract(contractAddress, ERC20_ABI, this.provider);
-            
-            const [name, symbol, decimals, totalSupply] = await Promise.allSettled([
-                contract.name(),
-                contract.symbol(), 
-                contract.decimals(),
-                contract.totalSupply()
-            ]);
-
-            const tokenName = name.status === 'fulfilled' ? name.value : 'Unknown Token';
-            const tokenSymbol = symbol.status === 'fulfilled' ? symbol.value : 'TOKEN';
-            const tokenDecimals = decimals.status === 'fulfilled' ? Number(decimals.value) : 18;
-            const tokenTotalSupply = totalSupply.status === 'fulfilled' ? totalSupply.value : 0n;
-            
-            let readableSupply = 0;
-            if (tokenTotalSupply > 0n) {
-                readableSupply = parseFloat(ethers.formatUnits(tokenTotalSupply, tokenDecimals));
-            }
-            
-            console.log(`✅ Token: ${tokenName} (${tokenSymbol}) - ${tokenDecimals} decimals`);
-            console.log(`📊 Supply: ${readableSupply.toLocaleString('en-US')} ${tokenSymbol}`);
-            
-            return { 
-                name: tokenName, 
-                symbol: tokenSymbol, 
-                decimals: tokenDecimals,
-                totalSupply: readableSupply
-            };
-        } catch (error) {
-            console.error('❌ Token info error:', error.message);
-            return {
-                name: 'Unknown Token',
-                symbol: 'TOKEN',
-                decimals: 18,
-                totalSupply: 0
-            };
-        }
+// Watched tokens and wallets survive restarts; the monitor polls each chain for launches
+const watchlist = new WatchlistStore(process.env.WATCHLIST_FILE || path.join(__dirname, 'data', 'watchlist.json'));
+const launchMonitor = new LaunchMonitor(watchlist, {
+    getAnalyzer,
+    notify: (chatId, text) => bot.sendMessage(chatId, text, { parse_mode: 'Markdown', disable_web_page_preview: true })
+        .catch(error => console.error('❌ Alert error:', error.message)),
+    report: (chatId, chain, address) => runAnalysis(chatId, chain, address, 1, settings.get(chatId).pageSize)
+});
+
+// Per-chat settings (/settings, /chain) and who may use the bot
+const settings = new SettingsStore(process.env.SETTINGS_FILE || path.join(__dirname, 'data', 'settings.json'));
+const access = new AccessControl(settings);
+
+function getChatChain(chatId) {
+    return getChain(settings.get(chatId).chain);
+}
+
+// Reply text in the chat's language
+function tr(chatId, key, params) {
+    return translate(settings.get(chatId).language, key, params);
+}
+
+function getBundleOptions(chatId) {
+    const { gasTolerance, priorityTolerance } = settings.get(chatId);
+    return { gasTolerance, priorityTolerance };
+}
+
+// Every command goes through here: allow-list, then group-admin-only commands, then the user's quota for costly ones.
+// Refusals are answered directly
+async function authorize(msg, { groupAdmin = false, costly = false } = {}) {
+    const chatId = msg.chat.id;
+    const userId = msg.from ? msg.from.id : chatId;
+
+    if (!access.isAllowed(userId, chatId)) {
+        console.log(`🔒 Refused user ${userId} in chat ${chatId}`);
+        bot.sendMessage(chatId, tr(chatId, 'notAllowed', { id: userId }), { parse_mode: 'Markdown' });
+        return false;
     }
 
-    async getBribeAmount(txHash) {
-        try {
-            const response = await axios.get('https://api.etherscan.io/api', {
-                params: {
-                    module: 'account',
-                    action: 'txlistinternal',
-                    txhash: txHash,
-                    apikey: ETHERSCAN_API_KEY
-                },
-                timeout: 10000
-            });
-            
-            if (response.data.status === '1' && response.data.result) {
-                // Chercher les Transfer directs (pas les Deposit/Swap)
-                for (const tx of response.data.result) {
-                    // Transfer direct = input vide ou très court (pas un swap complexe)
-                    if (tx.input === '0x' || tx.input.length <= 10) {
-                        const bribeAmount = parseFloat(ethers.formatEther(tx.value));
-                        if (bribeAmount > 0) {
-                            return bribeAmount;
-                        }
-                    }
-                }
-            }
-            
-            return 0;
-        } catch (error) {
-            console.warn(`⚠️ Bribe detection failed for ${txHash}:`, error.message);
-            return 0;
+    if (groupAdmin && msg.chat.type !== 'private' && !access.isAdmin(userId)) {
+        const member = await bot.getChatMember(chatId, userId).catch(() => null);
+        if (!member || !['creator', 'administrator'].includes(member.status)) {
+            bot.sendMessage(chatId, tr(chatId, 'groupAdminOnly'));
+            return false;
         }
     }
 
-    async getTransactionDetails(txHash) {
-        try {
-            const response = await axios.get('https://api.etherscan.io/api', {
-                params: {
-                    module: 'proxy',
-                    action: 'eth_getTransactionByHash',
-                    txhash: txHash,
-                    apikey: ETHERSCAN_API_KEY
-                },
-                timeout: 10000
-            });
-            
-            if (response.data.result) {
-                const tx = response.data.result;
-                const gasPrice = parseInt(tx.gasPrice, 16);
-                const maxPriorityFee = tx.maxPriorityFeePerGas ? parseInt(tx.maxPriorityFeePerGas, 16) : 0;
-                
-                return {
-                    gasPrice: (gasPrice / 1e9).toFixed(1),
-                    priorityFee: (maxPriorityFee / 1e9).toFixed(1),
-                    transactionIndex: parseInt(tx.transactionIndex, 16)
-                };
-            }
-            
-            return { gasPrice: 'N/A', priorityFee: '0', transactionIndex: 999 };
-        } catch (error) {
-            console.warn(`⚠️ Gas details failed for ${txHash}:`, error.message);
-            return { gasPrice: 'N/A', priorityFee: '0', transactionIndex: 999 };
+    if (costly) {
+        const quota = access.take(userId);
+        if (!quota.ok) {
+            bot.sendMessage(chatId, tr(chatId, 'quotaExceeded', {
+                quota: access.options.quota,
+                hours: access.options.quotaWindowMs / 3600000,
+                minutes: Math.ceil(quota.resetMs / 60000)
+            }));
+            return false;
         }
     }
 
-    async getTokenTransactions(contractAddress) {
-        try {
-            console.log(`📡 Getting transactions...`);
-            const response = await axios.get('https://api.etherscan.io/api', {
-                params: {
-                    module: 'account',
-                    action: 'tokentx',
-                    contractaddress: contractAddress,
-                    startblock: 0,
-                    endblock: 'latest',
-                    sort: 'asc',
-                    apikey: ETHERSCAN_API_KEY
-                },
-                timeout: 15000
-            });
-            
-            if (response.data.status !== '1') {
-                throw new Error('No transactions found');
-            }
-            
-            console.log(`✅ ${response.data.result.length} transactions found`);
-            return response.data.result || [];
-        } catch (error) {
-            console.error('❌ Transactions error:', error.message);
+    return true;
+}
+
+// Long-running requests share one queue: bounded concurrency, identical requests in flight run once
+const jobQueue = new JobQueue();
+
+// JSON API for dashboards and scripts, same analyzers and job queue as the bot
+app.use('/api/v1', createApiRouter({ getAnalyzer, jobQueue }));
+
+// Telegram limits how often a message can be edited
+const PROGRESS_EDIT_INTERVAL_MS = 2000;
+
+// Runs work through the queue behind a loading message showing the queue position, then the progress,
+// with a Cancel button. run({ progress, signal }) does the work; resolves with its result, or null once cancelled
+async function runJob(chatId, key, title, run) {
+    const loadingMsg = await bot.sendMessage(chatId, `${title}\n⏳ Queued...`);
+    let cancelMarkup = null;
+    let latest = null;
+    let shown = null;
+    let lastEdit = 0;
+    let timer = null;
+
+    const flush = () => {
+        timer = null;
+        if (latest === shown) return;
+        shown = latest;
+        lastEdit = Date.now();
+        bot.editMessageText(latest, { chat_id: chatId, message_id: loadingMsg.message_id, reply_markup: cancelMarkup })
+            .catch(error => console.warn('⚠️ Progress edit failed:', error.message));
+    };
+
+    // Edits are throttled: the latest text goes out at most once per interval
+    const onUpdate = (job) => {
+        const position = jobQueue.position(job);
+        latest = `${title}\n${position > 0 ? `⏳ Queued: position ${position}` : job.progress || '⚙️ Starting...'}`;
+        if (!timer) timer = setTimeout(flush, Math.max(0, lastEdit + PROGRESS_EDIT_INTERVAL_MS - Date.now()));
+    };
+
+    const { job, subscriberId, promise } = jobQueue.submit(key, run, onUpdate);
+    cancelMarkup = { inline_keyboard: [[{ text: '🛑 Cancel', callback_data: `c:${job.id}:${subscriberId}` }]] };
+    onUpdate(job);
+
+    try {
+        const result = await promise;
+        clearTimeout(timer);
+        await bot.deleteMessage(chatId, loadingMsg.message_id);
+        return result;
+    } catch (error) {
+        clearTimeout(timer);
+        if (error.code !== 'CANCELLED') {
+            await bot.deleteMessage(chatId, loadingMsg.message_id).catch(() => {});
             throw error;
         }
+        await bot.editMessageText(`${title}\n🛑 Cancelled`, { chat_id: chatId, message_id: loadingMsg.message_id }).catch(() => {});
+        return null;
+    }
+}
+
+const chainList = Object.values(CHAINS).map(chain => `\`${chain.key}\``).join(', ');
+
+// Inline keyboards: callback_data is "<action>:<chain>:<address without 0x>:..." and must fit in 64 bytes
+const VIEW_CODES = { all: 'a', bundle: 'b', snipers: 's' };
+const VIEWS_BY_CODE = { a: 'all', b: 'bundle', s: 'snipers' };
+
+function encodeCallback(...parts) {
+    const data = parts.join(':');
+    if (Buffer.byteLength(data) > 64) {
+        throw new Error(`callback_data too long (${data.length} bytes): ${data}`);
     }
+    return data;
+}
 
-    async analyzeFirstBuyers(contractAddress, limit = 100) {
-        console.log(`🚀 Starting analysis ${contractAddress}`);
-        
-        const tokenInfo = await this.getTokenInfo(contractAddress);
-        const transactions = await this.getTokenTransactions(contractAddress);
-        
-        if (transactions.length === 0) {
-            throw new Error('No transactions found');
-        }
+function buildResultsKeyboard(analyzer, results, startRank, view, pageSize) {
+    const chainKey = analyzer.chain.key;
+    const address = results.contractAddress.toLowerCase().slice(2);
+    const viewCode = VIEW_CODES[view];
+    const { list, displayBuyers, bundledBuyers, snipingBuyers } = analyzer.selectBuyers(results, startRank, startRank + pageSize - 1, view);
+    const keyboard = [];
+
+    // One "details" button per displayed wallet, 5 per row
+    const detailButtons = displayBuyers.map(buyer => ({
+        text: `🔎 ${buyer.rank}`,
+        callback_data: encodeCallback('d', chainKey, address, buyer.rank, startRank, viewCode)
+    }));
+    for (let i = 0; i < detailButtons.length; i += 5) {
+        keyboard.push(detailButtons.slice(i, i + 5));
+    }
+
+    const navigation = [];
+    if (startRank > 1) {
+        navigation.push({ text: '⬅️ Prev', callback_data: encodeCallback('p', chainKey, address, Math.max(1, startRank - pageSize), viewCode) });
+    }
+    if (startRank + pageSize <= list.length) {
+        navigation.push({ text: 'Next ➡️', callback_data: encodeCallback('p', chainKey, address, startRank + pageSize, viewCode) });
+    }
+    if (navigation.length > 0) keyboard.push(navigation);
+
+    const views = [];
+    if (view !== 'all') {
+        views.push({ text: '📋 All buyers', callback_data: encodeCallback('p', chainKey, address, 1, VIEW_CODES.all) });
+    }
+    if (view !== 'bundle' && bundledBuyers.length > 0) {
+        views.push({ text: '🤖 Bundle only', callback_data: encodeCallback('p', chainKey, address, 1, VIEW_CODES.bundle) });
+    }
+    if (view !== 'snipers' && snipingBuyers.length > 0 && bundledBuyers.length > 0) {
+        views.push({ text: '🎯 Snipers only', callback_data: encodeCallback('p', chainKey, address, 1, VIEW_CODES.snipers) });
+    }
+    if (views.length > 0) keyboard.push(views);
+
+    return { inline_keyboard: keyboard };
+}
+
+function buildDetailsKeyboard(analyzer, results, startRank, view) {
+    const address = results.contractAddress.toLowerCase().slice(2);
+    return {
+        inline_keyboard: [[
+            { text: '⬅️ Back to list', callback_data: encodeCallback('p', analyzer.chain.key, address, startRank, VIEW_CODES[view]) }
+        ]]
+    };
+}
+
+// Bot commands
+bot.onText(/^\/start(?:@\w+)?(?:\s+(\S+))?$/, async (msg, match) => {
+    // Deep link from a report's "Profile" link: /start w_<chain>_<wallet>
+    const profileLink = match[1] && match[1].match(/^w_([a-z]+)_([a-fA-F0-9]{40})$/);
+    if (profileLink && getChain(profileLink[1])) {
+        if (!await authorize(msg, { costly: true })) return;
+        await runWalletProfile(msg.chat.id, getChain(profileLink[1]), `0x${profileLink[2]}`);
+        return;
+    }
+
+    if (!await authorize(msg)) return;
+    const { pageSize } = settings.get(msg.chat.id);
+
+    const welcomeMessage = `
+🤖 **EVM Token Analyzer**
+
+**Commands:**
+• \`0x1234...\` → First ${pageSize} buyers
+• \`0x1234... 11-20\` → Buyers 11-20  
+• \`0x1234... 21-30\` → Buyers 21-30
+• \`base 0x1234... 11-20\` → Buyers 11-20 on Base
+• \`/chain bsc\` → Set this chat's default chain
+• \`/settings\` → Page size, max buyers, bundle tolerances, language
+• \`/refresh 0x1234...\` → Rebuild a cached analysis
+• \`/wallet 0x1234...\` → Profile a wallet across past launches
+• \`/scan 0x1234...\` → Honeypot, taxes, owner, blacklist and LP lock checks
+• \`/holders 0x1234...\` → Top holders and supply concentration
+• \`/timeline 0x1234... 3\` → Every transaction of the first blocks, in order: liquidity, trading switch, buys, sells, failed snipes
+• \`/export 0x1234... csv\` → Full analysis as a CSV or JSON file
+• \`/compare 0x1234...\` → How this launch ranks against past launches
+• \`/leaderboard 7d\` → Most sniped launches and most active snipers (\`24h\`, \`30d\`, \`all\`...)
+• \`/watch 0x1234...\` → Report automatically when trading opens
+• \`/watchwallet 0x1234...\` → Alert when this wallet snipes a new pair
+• \`/watchlist\` / \`/unwatch 0x1234...\` → Manage watches
+• \`/allow 12345\` / \`/deny 12345\` → Bot admins: manage who can use the bot
+
+🔘 Use the buttons under a report to page, filter bundle/snipers and open wallet details
+
+🌐 *Chains:* ${chainList}
+
+⏱️ *Analysis takes 1-2 minutes*: the loading message shows your place in the queue and the progress, with a button to cancel
+    `;
+    
+    bot.sendMessage(msg.chat.id, welcomeMessage, { parse_mode: 'Markdown' });
+});
+
+// Show or change the chat's default chain
+bot.onText(/^\/chain(?:@\w+)?(?:\s+(\w+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+
+    if (!match[1]) {
+        if (!await authorize(msg)) return;
+        bot.sendMessage(chatId, tr(chatId, 'chainCurrent', { name: getChatChain(chatId).name, chains: chainList }), { parse_mode: 'Markdown' });
+        return;
+    }
+
+    if (!await authorize(msg, { groupAdmin: true })) return;
+    if (!await settings.set(chatId, 'chain', match[1])) {
+        bot.sendMessage(chatId, tr(chatId, 'unknownChain', { name: match[1], chains: chainList }), { parse_mode: 'Markdown' });
+        return;
+    }
+
+    bot.sendMessage(chatId, tr(chatId, 'chainSet', { name: getChatChain(chatId).name }), { parse_mode: 'Markdown' });
+});
 
-        const buyers = new Map();
-        const results = [];
-
-        const skipAddresses = new Set([
-            '0x7a250d5630b4cf539739df2c5dacb4c659f2488d', // Uniswap V2
-            '0xe592427a0aece92de3edee1f18e0157c05861564', // Uniswap V3
-            contractAddress.toLowerCase()
-        ]);
-
-        for (const tx of transactions) {
-            if (tx.from === '0x0000000000000000000000000000000000000000') continue;
-            
-            const buyerAddress = tx.to.toLowerCase();
-            
-            if (skipAddresses.has(buyerAddress)) {
-                console.log(`⚠️ Skip router: ${buyerAddress}`);
-                continue;
+// Show or change this chat's settings
+bot.onText(/^\/settings(?:@\w+)?(?:\s+(\w+)(?:\s+(\S+))?)?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const [, key, value] = match;
+
+    try {
+        if (!key) {
+            if (!await authorize(msg)) return;
+            const current = settings.get(chatId);
+            const userId = msg.from ? msg.from.id : chatId;
+            const usage = access.usage(userId);
+
+            let message = `${tr(chatId, 'settingsTitle')}\n\n`;
+            for (const name of Object.keys(SETTINGS)) {
+                message += `• \`${name}\`: **${current[name]}** (${SETTINGS[name].hint})\n`;
             }
-            
-            if (!buyers.has(buyerAddress)) {
-                buyers.set(buyerAddress, true);
-                
-                let amount = 0;
-                let supplyPercent = 0;
-                try {
-                    amount = parseFloat(ethers.formatUnits(tx.value, tokenInfo.decimals));
-                    
-                    if (tokenInfo.totalSupply > 0 && amount > 0) {
-                        supplyPercent = (amount / tokenInfo.totalSupply) * 100;
-                    }
-                } catch (error) {
-                    console.warn(`⚠️ Amount error ${tx.hash}:`, error.message);
-                    amount = 0;
-                    supplyPercent = 0;
-                }
-                
-                // Get gas details for first 100 buyers
-                let gasDetails = { gasPrice: 'N/A', priorityFee: '0', transactionIndex: 999 };
-                
-                if (results.length < 100) {
-                    gasDetails = await this.getTransactionDetails(tx.hash);
-                }
-                
-                results.push({
-                    rank: results.length + 1,
-                    wallet: tx.to,
-                    amount: amount,
-                    supplyPercent: supplyPercent,
-                    txHash: tx.hash,
-                    timestamp: new Date(parseInt(tx.timeStamp) * 1000),
-                    blockNumber: parseInt(tx.blockNumber),
-                    gasPrice: parseFloat(gasDetails.gasPrice) || 0,
-                    priorityFee: parseFloat(gasDetails.priorityFee) || 0,
-                    transactionIndex: gasDetails.transactionIndex
-                });
-
-                console.log(`✅ Buyer #${results.length}: ${tx.to} = ${amount.toLocaleString()} ${tokenInfo.symbol} (${supplyPercent.toFixed(2)}%)`);
-
-                if (results.length >= limit) break;
+            message += `\n${tr(chatId, 'settingsUsage')}\n`;
+            if (!access.isAdmin(userId)) {
+                message += tr(chatId, 'quotaLeft', { remaining: usage.remaining, quota: access.options.quota, minutes: Math.ceil(usage.resetMs / 60000) });
             }
+            bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+            return;
         }
 
-        if (results.length === 0) {
-            throw new Error('No buyers found');
+        if (!await authorize(msg, { groupAdmin: true })) return;
+
+        if (key === 'reset' && !value) {
+            await settings.reset(chatId);
+            bot.sendMessage(chatId, tr(chatId, 'settingsReset'));
+            return;
         }
 
-        // Filter out LP (usually the first buyer with massive supply %)
-        let finalResults = results;
-        if (results.length > 0 && results[0].supplyPercent > 50) {
-            console.log(`🏊 Detected LP at rank 1 with ${results[0].supplyPercent.toFixed(2)}% supply - excluding from analysis`);
-            finalResults = results.slice(1);
-            
-            // Rerank the remaining buyers
-            finalResults = finalResults.map((buyer, index) => ({
-                ...buyer,
-                rank: index + 1
-            }));
+        if (!Object.hasOwn(SETTINGS, key)) {
+            bot.sendMessage(chatId, tr(chatId, 'unknownSetting', { key, keys: Object.keys(SETTINGS).join(', ') }));
+            return;
+        }
+
+        const saved = value !== undefined ? await settings.set(chatId, key, value) : null;
+        if (saved === null) {
+            bot.sendMessage(chatId, tr(chatId, 'invalidSetting', { key, hint: SETTINGS[key].hint }), { parse_mode: 'Markdown' });
+            return;
         }
 
-        console.log(`🎯 ${finalResults.length} real buyers found (LP excluded)`);
-        return { tokenInfo, buyers: finalResults, contractAddress };
+        console.log(`⚙️ Chat ${chatId}: ${key} = ${saved}`);
+        bot.sendMessage(chatId, tr(chatId, 'settingSaved', { key, value: saved }), { parse_mode: 'Markdown' });
+    } catch (error) {
+        console.error('❌ Settings error:', error.message);
+        bot.sendMessage(chatId, tr(chatId, 'error', { message: error.message }));
     }
+});
 
-    formatResults(data, startRank = 1, endRank = 10) {
-        const { tokenInfo, buyers, contractAddress } = data;
-        
-        let message = `🪙 **${tokenInfo.name} (${tokenInfo.symbol})**\n\n`;
-        
-        if (tokenInfo.totalSupply > 0) {
-            message += `📈 **Total Supply:** ${tokenInfo.totalSupply.toLocaleString('en-US', {maximumFractionDigits: 0})} ${tokenInfo.symbol}\n`;
-        }
-        
-        if (buyers.length > 0) {
-            message += `📅 **Trading Started:** ${buyers[0].timestamp.toLocaleString('en-US')}\n`;
-            message += `🧱 **Block:** [${buyers[0].blockNumber}](https://etherscan.io/txs?block=${buyers[0].blockNumber})\n`;
-        }
-        
-        message += `📝 [Contract](https://etherscan.io/token/${contractAddress})\n\n`;
+// Bot admins: let a user or chat ID in, or take it off the allow-list
+bot.onText(/^\/(allow|deny)(?:@\w+)?(?:\s+(-?\d+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const [, action, id] = match;
 
-        // Detect bundle vs snipers: CONSECUTIVE POSITIONS + SAME GAS
-        let bundleEndRank = buyers.length;
-        
-        // Bundle = même gas setting + positions STRICTEMENT consécutives
-        for (let i = 1; i < buyers.length; i++) {
-            const current = buyers[i];
-            const previous = buyers[i - 1];
-            
-            // Positions non-consécutives (manque une position)
-            const positionGap = current.transactionIndex - previous.transactionIndex;
-            const notConsecutive = positionGap > 1;
-            
-            // Gas différent (hausse ou baisse)
-            const gasChange = Math.abs(current.gasPrice - previous.gasPrice) > 0.1;
-            
-            // Fin du bundle = dès que positions non-consécutives OU gas change
-            if (notConsecutive || gasChange) {
-                bundleEndRank = i;
-                console.log(`🔍 Bundle end detected at rank ${bundleEndRank}:`);
-                if (notConsecutive) {
-                    console.log(`   Position break: ${previous.transactionIndex} → ${current.transactionIndex} (gap: ${positionGap})`);
-                }
-                if (gasChange) {
-                    console.log(`   Gas change: ${previous.gasPrice} → ${current.gasPrice} Gwei`);
-                }
-                break;
-            }
-        }
-        
-        const bundledBuyers = buyers.filter(buyer => buyer.rank <= bundleEndRank);
-        const snipingBuyers = buyers.filter(buyer => buyer.rank > bundleEndRank);
-        
-        // Show bundle detection info
-        if (bundledBuyers.length > 1) {
-            const totalBundledSupply = bundledBuyers.reduce((sum, buyer) => sum + buyer.supplyPercent, 0);
-            
-            message += `⚠️ **BUNDLE DETECTED:** ${bundledBuyers.length} wallets (ranks 1-${bundleEndRank})\n`;
-            message += `🎒 **Bundled Supply:** ${totalBundledSupply.toFixed(2)}% of total supply\n`;
-            if (snipingBuyers.length > 0) {
-                const firstSniper = snipingBuyers[0];
-                message += `🎯 **First sniper at rank ${firstSniper.rank}**\n`;
-            }
-            message += `\n`;
-        }
+    if (!access.isAdmin(msg.from ? msg.from.id : null)) {
+        bot.sendMessage(chatId, tr(chatId, 'botAdminOnly'));
+        return;
+    }
 
-        // Select requested range from ALL buyers
-        const allBuyers = [...bundledBuyers, ...snipingBuyers];
-        const displayBuyers = allBuyers.slice(startRank - 1, endRank);
-        
-        message += `📊 **Buyers ${startRank}-${Math.min(endRank, buyers.length)} of ${buyers.length} total**\n\n`;
+    if (!id) {
+        const ids = [...access.options.allowed, ...settings.data.allowed];
+        bot.sendMessage(chatId, tr(chatId, 'allowList', { ids: ids.length > 0 ? ids.map(allowed => `\`${allowed}\``).join(', ') : '-' }), { parse_mode: 'Markdown' });
+        return;
+    }
 
-        // Group display by bundled vs snipers within the requested range
-        const displayBundled = displayBuyers.filter(buyer => buyer.rank <= bundleEndRank);
-        const displaySnipers = displayBuyers.filter(buyer => buyer.rank > bundleEndRank);
+    if (action === 'allow') {
+        await settings.allow(id);
+        bot.sendMessage(chatId, tr(chatId, 'allowed', { id }), { parse_mode: 'Markdown' });
+    } else {
+        const removed = await settings.deny(id);
+        bot.sendMessage(chatId, tr(chatId, removed ? 'denied' : 'notInList', { id }), { parse_mode: 'Markdown' });
+    }
+    console.log(`🔐 ${action} ${id} by ${msg.from.id}`);
+});
 
-        // Show bundled buyers first
-        if (displayBundled.length > 0) {
-            if (bundledBuyers.length > 1) {
-                message += `🤖 **Bundled Buyers** (consecutive positions + same gas):\n`;
-            }
-            
-            displayBundled.forEach((buyer) => {
-                const shortAddr = `${buyer.wallet.slice(0, 6)}...${buyer.wallet.slice(-4)}`;
-                
-                message += `**${buyer.rank}.** [${shortAddr}](https://etherscan.io/address/${buyer.wallet})`;
-                if (bundledBuyers.length > 1) message += ` 🤖`;
-                message += `\n`;
-                
-                message += `   💰 ${buyer.amount.toLocaleString('en-US', {maximumFractionDigits: 0})} ${tokenInfo.symbol}`;
-                
-                if (buyer.supplyPercent > 0) {
-                    if (buyer.supplyPercent >= 0.01) {
-                        message += ` **(${buyer.supplyPercent.toFixed(2)}% supply)**`;
-                    } else {
-                        message += ` **(${buyer.supplyPercent.toFixed(4)}% supply)**`;
-                    }
-                }
-                message += '\n';
-                
-                if (buyer.gasPrice > 0) {
-                    message += `   📍 Block pos: ${buyer.transactionIndex}\n`;
-                }
-                
-                message += `   🔗 [TX](https://etherscan.io/tx/${buyer.txHash})\n\n`;
-            });
-        }
+// Analyze an address (with or without chain prefix and range)
+bot.onText(/^(?:([a-zA-Z]+)\s+)?(0x[a-fA-F0-9]{40})(?:\s+(\d+)-(\d+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const chain = match[1] ? getChain(match[1]) : getChatChain(chatId);
+    const contractAddress = match[2];
+    const { pageSize, maxBuyers } = settings.get(chatId);
+    const startRank = match[3] ? parseInt(match[3]) : 1;
+    const endRank = match[4] ? parseInt(match[4]) : pageSize;
+    
+    if (!chain) {
+        bot.sendMessage(chatId, tr(chatId, 'unknownChain', { name: match[1], chains: chainList }), { parse_mode: 'Markdown' });
+        return;
+    }
 
-        // Show sniping buyers
-        if (displaySnipers.length > 0) {
-            if (bundledBuyers.length > 1 && displayBundled.length > 0) {
-                message += `📊 **Sniping Buyers** (position break or gas change):\n`;
-            }
-            
-            displaySnipers.forEach((buyer) => {
-                const shortAddr = `${buyer.wallet.slice(0, 6)}...${buyer.wallet.slice(-4)}`;
-                
-                message += `**${buyer.rank}.** [${shortAddr}](https://etherscan.io/address/${buyer.wallet}) 🎯\n`;
-                
-                message += `   💰 ${buyer.amount.toLocaleString('en-US', {maximumFractionDigits: 0})} ${tokenInfo.symbol}`;
-                
-                if (buyer.supplyPercent > 0) {
-                    if (buyer.supplyPercent >= 0.01) {
-                        message += ` **(${buyer.supplyPercent.toFixed(2)}% supply)**`;
-                    } else {
-                        message += ` **(${buyer.supplyPercent.toFixed(4)}% supply)**`;
-                    }
-                }
-                message += '\n';
-                
-                if (buyer.gasPrice > 0) {
-                    message += `   📍 Block pos: ${buyer.transactionIndex}\n`;
-                }
-                
-                message += `   🔗 [TX](https://etherscan.io/tx/${buyer.txHash})\n\n`;
-            });
+    console.log(`📨 Analysis request: ${chain.key} ${contractAddress} (${startRank}-${endRank})`);
+    
+    if (!ethers.isAddress(contractAddress)) {
+        bot.sendMessage(chatId, tr(chatId, 'invalidAddress'));
+        return;
+    }
+
+    if (startRank < 1 || endRank < startRank || endRank > maxBuyers) {
+        bot.sendMessage(chatId, tr(chatId, 'invalidRange', { max: maxBuyers }));
+        return;
+    }
+
+    if (!await authorize(msg, { costly: true })) return;
+    await runAnalysis(chatId, chain, contractAddress, startRank, endRank);
+});
+
+// Force a full rebuild of a cached analysis
+bot.onText(/^\/refresh(?:@\w+)?\s+(?:([a-zA-Z]+)\s+)?(0x[a-fA-F0-9]{40})$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const chain = match[1] ? getChain(match[1]) : getChatChain(chatId);
+    const contractAddress = match[2];
+
+    if (!chain) {
+        bot.sendMessage(chatId, tr(chatId, 'unknownChain', { name: match[1], chains: chainList }), { parse_mode: 'Markdown' });
+        return;
+    }
+
+    if (!ethers.isAddress(contractAddress)) {
+        bot.sendMessage(chatId, tr(chatId, 'invalidAddress'));
+        return;
+    }
+
+    if (!await authorize(msg, { groupAdmin: true, costly: true })) return;
+
+    console.log(`🔄 Refresh request: ${chain.key} ${contractAddress}`);
+    await runAnalysis(chatId, chain, contractAddress, 1, settings.get(chatId).pageSize, { refresh: true });
+});
+
+// Profile a wallet across the launches it bought early
+bot.onText(/^\/wallet(?:@\w+)?\s+(?:([a-zA-Z]+)\s+)?(0x[a-fA-F0-9]{40})$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const chain = match[1] ? getChain(match[1]) : getChatChain(chatId);
+    const wallet = match[2];
+
+    if (!chain) {
+        bot.sendMessage(chatId, tr(chatId, 'unknownChain', { name: match[1], chains: chainList }), { parse_mode: 'Markdown' });
+        return;
+    }
+
+    if (!ethers.isAddress(wallet)) {
+        bot.sendMessage(chatId, tr(chatId, 'invalidAddress'));
+        return;
+    }
+
+    if (!await authorize(msg, { costly: true })) return;
+    await runWalletProfile(chatId, chain, wallet);
+});
+
+async function runWalletProfile(chatId, chain, wallet) {
+    console.log(`👤 Wallet profile request: ${chain.key} ${wallet}`);
+
+    try {
+        const analyzer = getAnalyzer(chain);
+        const profile = await runJob(
+            chatId,
+            `wallet:${chain.key}:${wallet.toLowerCase()}`,
+            `👤 Profiling wallet on ${chain.name}\n⏳ Tokens not analyzed yet take 1-2 minutes each`,
+            ({ progress, signal }) => analyzer.profileWallet(wallet, { onProgress: progress, signal })
+        );
+        if (!profile) return;
+        const message = analyzer.formatWalletProfile(profile);
+
+        await bot.sendMessage(chatId, message, { parse_mode: 'Markdown', disable_web_page_preview: true });
+
+        console.log(`✅ Wallet profile completed for ${wallet}`);
+    } catch (error) {
+        console.error('❌ Wallet profile error:', error.message);
+        bot.sendMessage(chatId, tr(chatId, 'error', { message: error.message }));
+    }
+}
+
+// Honeypot, tax, ownership, source and LP lock checks
+bot.onText(/^\/scan(?:@\w+)?\s+(?:([a-zA-Z]+)\s+)?(0x[a-fA-F0-9]{40})$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const chain = match[1] ? getChain(match[1]) : getChatChain(chatId);
+    const contractAddress = match[2];
+
+    if (!chain) {
+        bot.sendMessage(chatId, tr(chatId, 'unknownChain', { name: match[1], chains: chainList }), { parse_mode: 'Markdown' });
+        return;
+    }
+
+    if (!ethers.isAddress(contractAddress)) {
+        bot.sendMessage(chatId, tr(chatId, 'invalidAddress'));
+        return;
+    }
+
+    if (!await authorize(msg, { costly: true })) return;
+
+    console.log(`🛡️ Scan request: ${chain.key} ${contractAddress}`);
+
+    try {
+        const analyzer = getAnalyzer(chain);
+        const scan = await runJob(
+            chatId,
+            `scan:${chain.key}:${contractAddress.toLowerCase()}`,
+            `🛡️ Scanning contract on ${chain.name}`,
+            () => analyzer.scanToken(contractAddress)
+        );
+        if (!scan) return;
+        const message = analyzer.formatSafety(scan);
+
+        await bot.sendMessage(chatId, message, { parse_mode: 'Markdown', disable_web_page_preview: true });
+
+        console.log(`✅ Scan completed for ${contractAddress}`);
+    } catch (error) {
+        console.error('❌ Scan error:', error.message);
+        bot.sendMessage(chatId, tr(chatId, 'error', { message: error.message }));
+    }
+});
+
+// Current holder distribution and concentration
+bot.onText(/^\/holders(?:@\w+)?\s+(?:([a-zA-Z]+)\s+)?(0x[a-fA-F0-9]{40})$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const chain = match[1] ? getChain(match[1]) : getChatChain(chatId);
+    const contractAddress = match[2];
+
+    if (!chain) {
+        bot.sendMessage(chatId, tr(chatId, 'unknownChain', { name: match[1], chains: chainList }), { parse_mode: 'Markdown' });
+        return;
+    }
+
+    if (!ethers.isAddress(contractAddress)) {
+        bot.sendMessage(chatId, tr(chatId, 'invalidAddress'));
+        return;
+    }
+
+    if (!await authorize(msg, { costly: true })) return;
+
+    console.log(`👥 Holders request: ${chain.key} ${contractAddress}`);
+
+    try {
+        const analyzer = getAnalyzer(chain);
+        const report = await runJob(
+            chatId,
+            `holders:${chain.key}:${contractAddress.toLowerCase()}`,
+            `👥 Rebuilding holders on ${chain.name}\n⏳ The first run replays every transfer and can take a few minutes`,
+            ({ progress, signal }) => analyzer.getHolders(contractAddress, { onProgress: progress, signal })
+        );
+        if (!report) return;
+        const message = analyzer.formatHolders(report);
+
+        await bot.sendMessage(chatId, message, { parse_mode: 'Markdown', disable_web_page_preview: true });
+
+        console.log(`✅ Holders report completed for ${contractAddress}`);
+    } catch (error) {
+        console.error('❌ Holders error:', error.message);
+        bot.sendMessage(chatId, tr(chatId, 'error', { message: error.message }));
+    }
+});
+
+// Every transaction touching the token in the liquidity block and the first blocks of trading
+bot.onText(/^\/timeline(?:@\w+)?\s+(?:([a-zA-Z]+)\s+)?(0x[a-fA-F0-9]{40})(?:\s+(\d+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const chain = match[1] ? getChain(match[1]) : getChatChain(chatId);
+    const contractAddress = match[2];
+    const blocks = match[3] ? parseInt(match[3]) : TIMELINE_OPTIONS.blocks;
+
+    if (!chain) {
+        bot.sendMessage(chatId, tr(chatId, 'unknownChain', { name: match[1], chains: chainList }), { parse_mode: 'Markdown' });
+        return;
+    }
+
+    if (!ethers.isAddress(contractAddress)) {
+        bot.sendMessage(chatId, tr(chatId, 'invalidAddress'));
+        return;
+    }
+
+    if (blocks < 1 || blocks > TIMELINE_OPTIONS.maxBlocks) {
+        bot.sendMessage(chatId, `❌ Between 1 and ${TIMELINE_OPTIONS.maxBlocks} blocks`);
+        return;
+    }
+
+    if (!await authorize(msg, { costly: true })) return;
+
+    console.log(`🎬 Timeline request: ${chain.key} ${contractAddress} (${blocks} blocks)`);
+
+    try {
+        const analyzer = getAnalyzer(chain);
+        const timeline = await runJob(
+            chatId,
+            `timeline:${chain.key}:${contractAddress.toLowerCase()}:${blocks}`,
+            `🎬 Replaying the first ${blocks} blocks on ${chain.name}`,
+            ({ progress, signal }) => analyzer.getTimeline(contractAddress, blocks, { onProgress: progress, signal })
+        );
+        if (!timeline) return;
+
+        for (const message of analyzer.formatTimeline(timeline)) {
+            await bot.sendMessage(chatId, message, { parse_mode: 'Markdown', disable_web_page_preview: true });
         }
 
-        // Instructions to see other ranges
-        if (buyers.length > 10) {
-            message += `\n💡 **To see other buyers:**\n`;
-            message += `📋 Type: \`${contractAddress} 11-20\` to see buyers 11-20\n`;
-            message += `📋 Type: \`${contractAddress} 21-30\` to see buyers 21-30\n`;
-            message += `📋 etc...`;
+        console.log(`✅ Timeline sent for ${contractAddress}`);
+    } catch (error) {
+        console.error('❌ Timeline error:', error.message);
+        bot.sendMessage(chatId, tr(chatId, 'error', { message: error.message }));
+    }
+});
+
+// Send the full analysis as a file
+bot.onText(/^\/export(?:@\w+)?\s+(?:([a-zA-Z]+)\s+)?(0x[a-fA-F0-9]{40})(?:\s+(csv|json))?$/i, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const chain = match[1] ? getChain(match[1]) : getChatChain(chatId);
+    const contractAddress = match[2];
+    const format = (match[3] || 'csv').toLowerCase();
+
+    if (!chain) {
+        bot.sendMessage(chatId, tr(chatId, 'unknownChain', { name: match[1], chains: chainList }), { parse_mode: 'Markdown' });
+        return;
+    }
+
+    if (!ethers.isAddress(contractAddress)) {
+        bot.sendMessage(chatId, tr(chatId, 'invalidAddress'));
+        return;
+    }
+
+    if (!await authorize(msg, { costly: true })) return;
+
+    console.log(`📁 Export request: ${chain.key} ${contractAddress} (${format})`);
+
+    try {
+        const analyzer = getAnalyzer(chain);
+        const results = await runAnalysisJob(
+            chatId,
+            chain,
+            contractAddress,
+            settings.get(chatId).maxBuyers,
+            `📁 Preparing ${format.toUpperCase()} export on ${chain.name}`
+        );
+        if (!results) return;
+        const content = format === 'json' ? toJson(results, chain) : toCsv(results, chain);
+
+        await bot.sendDocument(chatId, Buffer.from(content), {
+            caption: `📁 ${results.tokenInfo.symbol} first ${results.buyers.length} buyers on ${chain.name}`
+        }, {
+            filename: `${chain.key}-${results.tokenInfo.symbol.replace(/[^\w-]/g, '')}-${contractAddress.toLowerCase()}.${format}`,
+            contentType: format === 'json' ? 'application/json' : 'text/csv'
+        });
+
+        console.log(`✅ Export sent for ${contractAddress}`);
+    } catch (error) {
+        console.error('❌ Export error:', error.message);
+        bot.sendMessage(chatId, tr(chatId, 'error', { message: error.message }));
+    }
+});
+
+// Rank a launch against the launches analyzed before it
+bot.onText(/^\/compare(?:@\w+)?\s+(?:([a-zA-Z]+)\s+)?(0x[a-fA-F0-9]{40})$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const chain = match[1] ? getChain(match[1]) : getChatChain(chatId);
+    const contractAddress = match[2];
+
+    if (!chain) {
+        bot.sendMessage(chatId, tr(chatId, 'unknownChain', { name: match[1], chains: chainList }), { parse_mode: 'Markdown' });
+        return;
+    }
+
+    if (!ethers.isAddress(contractAddress)) {
+        bot.sendMessage(chatId, tr(chatId, 'invalidAddress'));
+        return;
+    }
+
+    if (!await authorize(msg, { costly: true })) return;
+
+    console.log(`📊 Compare request: ${chain.key} ${contractAddress}`);
+
+    try {
+        const analyzer = getAnalyzer(chain);
+        // The analysis (cached or not) keeps the launch record up to date
+        const results = await runAnalysisJob(
+            chatId,
+            chain,
+            contractAddress,
+            settings.get(chatId).maxBuyers,
+            `📊 Comparing launch on ${chain.name}`
+        );
+        if (!results) return;
+        const comparison = launchHistory.compare(chain.key, contractAddress);
+        if (!comparison) {
+            throw new Error('launch record not saved');
         }
+        const message = analyzer.formatComparison(comparison, launchHistory.options.sniperBlocks);
 
-        return message;
+        await bot.sendMessage(chatId, message, { parse_mode: 'Markdown', disable_web_page_preview: true });
+
+        console.log(`✅ Comparison sent for ${contractAddress}`);
+    } catch (error) {
+        console.error('❌ Compare error:', error.message);
+        bot.sendMessage(chatId, tr(chatId, 'error', { message: error.message }));
     }
+});
+
+// "24h", "7d" or "all": start of the window and how it reads
+function parseWindow(text) {
+    if (text === 'all') return { since: null, period: 'all time' };
+    const [, count, unit] = text.match(/^(\d+)([hd])$/);
+    const hours = parseInt(count) * (unit === 'd' ? 24 : 1);
+    return { since: new Date(Date.now() - hours * 60 * 60 * 1000), period: `last ${count} ${unit === 'd' ? 'day' : 'hour'}${count === '1' ? '' : 's'}` };
 }
 
-const analyzer = new SimpleTokenAnalyzer();
+// Most sniped launches and most active sniper wallets among recorded launches: /leaderboard [chain] [24h|7d|30d|all]
+bot.onText(/^\/leaderboard(?:@\w+)?((?:\s+\w+){0,2})$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const args = match[1].trim().split(/\s+/).filter(Boolean).map(arg => arg.toLowerCase());
+    const windowArg = args.find(arg => /^(\d+[hd]|all)$/.test(arg));
+    const chainArg = args.find(arg => arg !== windowArg);
+    const chain = chainArg ? getChain(chainArg) : getChatChain(chatId);
 
-// Bot commands
-bot.onText(/\/start/, (msg) => {
-    const welcomeMessage = `
-🤖 **Ethereum Token Analyzer**
+    if (!chain) {
+        bot.sendMessage(chatId, tr(chatId, 'unknownChain', { name: chainArg, chains: chainList }), { parse_mode: 'Markdown' });
+        return;
+    }
 
-**Commands:**
-• \`0x1234...\` → First 10 buyers
-• \`0x1234... 11-20\` → Buyers 11-20  
-• \`0x1234... 21-30\` → Buyers 21-30
+    if (!await authorize(msg)) return;
 
-⏱️ *Analysis takes 1-2 minutes*
-    `;
-    
-    bot.sendMessage(msg.chat.id, welcomeMessage, { parse_mode: 'Markdown' });
+    const { since, period } = parseWindow(windowArg || '7d');
+    const board = launchHistory.leaderboard(chain.key, since);
+    bot.sendMessage(chatId, getAnalyzer(chain).formatLeaderboard(board, period), { parse_mode: 'Markdown', disable_web_page_preview: true });
 });
 
-// Analyze an address (with or without range)
-bot.onText(/^(0x[a-fA-F0-9]{40})(?:\s+(\d+)-(\d+))?$/, async (msg, match) => {
+// Subscribe the chat to a token's launch
+bot.onText(/^\/watch(?:@\w+)?\s+(?:([a-zA-Z]+)\s+)?(0x[a-fA-F0-9]{40})$/, async (msg, match) => {
     const chatId = msg.chat.id;
-    const contractAddress = match[1];
-    const startRank = match[2] ? parseInt(match[2]) : 1;
-    const endRank = match[3] ? parseInt(match[3]) : 10;
-    
-    console.log(`📨 Analysis request: ${contractAddress} (${startRank}-${endRank})`);
-    
+    const chain = match[1] ? getChain(match[1]) : getChatChain(chatId);
+    const contractAddress = match[2];
+
+    if (!chain) {
+        bot.sendMessage(chatId, tr(chatId, 'unknownChain', { name: match[1], chains: chainList }), { parse_mode: 'Markdown' });
+        return;
+    }
+
     if (!ethers.isAddress(contractAddress)) {
-        bot.sendMessage(chatId, '❌ Invalid address');
+        bot.sendMessage(chatId, tr(chatId, 'invalidAddress'));
+        return;
+    }
+
+    if (!await authorize(msg, { groupAdmin: true, costly: true })) return;
+
+    console.log(`👀 Watch request: ${chain.key} ${contractAddress}`);
+
+    try {
+        const analyzer = getAnalyzer(chain);
+        const pools = await analyzer.findPools(contractAddress);
+
+        // Already launched: nothing to wait for, report right away
+        if (await launchMonitor.hasTraded(chain, pools)) {
+            await bot.sendMessage(chatId, `ℹ️ Trading is already open on ${chain.name}, here is the report`);
+            await runAnalysis(chatId, chain, contractAddress, 1, settings.get(chatId).pageSize);
+            return;
+        }
+
+        const added = await watchlist.addToken(chatId, chain.key, contractAddress, pools);
+        bot.sendMessage(chatId, added
+            ? `👀 Watching \`${contractAddress}\` on ${chain.name}\n${pools.length > 0 ? `🏊 ${pools.length} pool(s) found` : '⏳ No pool yet'}\n\nYou will get the first buyers report once trading opens`
+            : '⚠️ Already watching this token', { parse_mode: 'Markdown' });
+    } catch (error) {
+        console.error('❌ Watch error:', error.message);
+        bot.sendMessage(chatId, tr(chatId, 'error', { message: error.message }));
+    }
+});
+
+// Alert when a wallet shows up among the first buyers of a new pair
+bot.onText(/^\/watchwallet(?:@\w+)?\s+(?:([a-zA-Z]+)\s+)?(0x[a-fA-F0-9]{40})$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const chain = match[1] ? getChain(match[1]) : getChatChain(chatId);
+    const wallet = match[2];
+
+    if (!chain) {
+        bot.sendMessage(chatId, tr(chatId, 'unknownChain', { name: match[1], chains: chainList }), { parse_mode: 'Markdown' });
+        return;
+    }
+
+    if (!ethers.isAddress(wallet)) {
+        bot.sendMessage(chatId, tr(chatId, 'invalidAddress'));
         return;
     }
 
-    if (startRank < 1 || endRank < startRank || endRank > 100) {
-        bot.sendMessage(chatId, '❌ Invalid range. Use: 1-10, 11-20, etc. (max 100)');
+    if (!await authorize(msg, { groupAdmin: true })) return;
+
+    const added = await watchlist.addWallet(chatId, chain.key, wallet);
+    bot.sendMessage(chatId, added
+        ? `👀 Watching wallet \`${wallet}\` on ${chain.name}\nAlert when it is among the first ${launchMonitor.options.walletFirstBuyers} buyers of a new pair`
+        : '⚠️ Already watching this wallet', { parse_mode: 'Markdown' });
+});
+
+bot.onText(/^\/unwatch(?:@\w+)?\s+(0x[a-fA-F0-9]{40})$/, async (msg, match) => {
+    if (!await authorize(msg, { groupAdmin: true })) return;
+    const removed = await watchlist.remove(msg.chat.id, match[1]);
+    bot.sendMessage(msg.chat.id, removed > 0 ? `✅ Stopped watching \`${match[1]}\`` : '⚠️ Not watching this address', { parse_mode: 'Markdown' });
+});
+
+const WATCH_STATUS = {
+    waiting: '⏳ waiting for liquidity',
+    liquidity: '💧 liquidity added',
+    trading: '🚀 trading, report pending',
+    reported: '✅ reported'
+};
+
+bot.onText(/^\/watchlist(?:@\w+)?$/, async (msg) => {
+    if (!await authorize(msg)) return;
+    const { tokens, wallets } = watchlist.listForChat(msg.chat.id);
+
+    if (tokens.length === 0 && wallets.length === 0) {
+        bot.sendMessage(msg.chat.id, '📭 Nothing watched. Use `/watch 0x...` or `/watchwallet 0x...`', { parse_mode: 'Markdown' });
         return;
     }
 
+    let message = '👀 **Watchlist**\n\n';
+    if (tokens.length > 0) {
+        message += '**Tokens:**\n';
+        for (const sub of tokens) {
+            message += `• ${getChain(sub.chain).name} \`${sub.address}\` - ${WATCH_STATUS[sub.status]}\n`;
+        }
+        message += '\n';
+    }
+    if (wallets.length > 0) {
+        message += '**Wallets:**\n';
+        for (const sub of wallets) {
+            message += `• ${getChain(sub.chain).name} \`${sub.wallet}\`\n`;
+        }
+    }
+
+    bot.sendMessage(msg.chat.id, message, { parse_mode: 'Markdown' });
+});
+
+// First-buyers analysis through the job queue with the chat's bundle tolerances; null when cancelled
+function runAnalysisJob(chatId, chain, contractAddress, limit, title, { refresh = false } = {}) {
+    const bundleOptions = getBundleOptions(chatId);
+    const key = `analysis:${chain.key}:${contractAddress.toLowerCase()}:${limit}:${bundleOptions.gasTolerance}:${bundleOptions.priorityTolerance}${refresh ? ':refresh' : ''}`;
+    return runJob(chatId, key, title, ({ progress, signal }) =>
+        getAnalyzer(chain).analyzeFirstBuyers(contractAddress, limit, { refresh, bundleOptions, onProgress: progress, signal })
+    );
+}
+
+async function runAnalysis(chatId, chain, contractAddress, startRank, endRank, options = {}) {
     try {
-        const loadingMsg = await bot.sendMessage(
-            chatId, 
-            `🔍 Analysis in progress...\n⏳ Getting buyers ${startRank}-${endRank}`
+        const analyzer = getAnalyzer(chain);
+        const { maxBuyers } = settings.get(chatId);
+        const results = await runAnalysisJob(
+            chatId,
+            chain,
+            contractAddress,
+            Math.max(endRank, maxBuyers),
+            `🔍 Analysis on ${chain.name}: buyers ${startRank}-${endRank}`,
+            options
         );
-        
-        const results = await analyzer.analyzeFirstBuyers(contractAddress, Math.max(endRank, 100));
+        if (!results) return;
         const message = analyzer.formatResults(results, startRank, endRank);
         
-        await bot.deleteMessage(chatId, loadingMsg.message_id);
-        
         console.log(`📤 Sending results ${startRank}-${endRank} (${message.length} chars)`);
         
         await bot.sendMessage(chatId, message, { 
             parse_mode: 'Markdown',
-            disable_web_page_preview: true 
+            disable_web_page_preview: true,
+            // An explicit range is one page: a button per listed buyer, Next right after it
+            reply_markup: buildResultsKeyboard(analyzer, results, startRank, 'all', endRank - startRank + 1)
         });
         
         console.log(`✅ Analysis completed for ${contractAddress} (${startRank}-${endRank})`);
         
     } catch (error) {
         console.error('❌ Analysis error:', error.message);
-        bot.sendMessage(chatId, `❌ Error: ${error.message}`);
+        bot.sendMessage(chatId, tr(chatId, 'error', { message: error.message }));
+    }
+}
+
+// Keyboard buttons: page through results or drill into one wallet, editing the same message
+bot.on('callback_query', async (query) => {
+    const [action, chainKey, address, ...args] = (query.data || '').split(':');
+
+    // Cancel button of a loading message: "c:<job id>:<subscriber id>"
+    if (action === 'c' && query.message) {
+        if (!access.isAllowed(query.from.id, query.message.chat.id)) {
+            bot.answerCallbackQuery(query.id);
+            return;
+        }
+        const cancelled = jobQueue.cancel(parseInt(chainKey), parseInt(address));
+        bot.answerCallbackQuery(query.id, { text: cancelled ? '🛑 Cancelled' : '⚠️ Already finished' });
+        return;
+    }
+
+    const chain = getChain(chainKey);
+
+    if (!query.message || !chain || !['p', 'd'].includes(action)) {
+        bot.answerCallbackQuery(query.id);
+        return;
+    }
+
+    const chatId = query.message.chat.id;
+    if (!access.isAllowed(query.from.id, chatId)) {
+        bot.answerCallbackQuery(query.id, { text: tr(chatId, 'notAllowed', { id: query.from.id }).replace(/`/g, ''), show_alert: true });
+        return;
+    }
+
+    const contractAddress = `0x${address}`;
+    const analyzer = getAnalyzer(chain);
+    const { pageSize, maxBuyers } = settings.get(chatId);
+
+    try {
+        // Pages and details come from the cached analysis as is: rebuilding it is a queued, costly request
+        const results = await analyzer.getCachedResult(contractAddress, maxBuyers, getBundleOptions(chatId));
+        if (!results) {
+            await bot.answerCallbackQuery(query.id, { text: tr(chatId, 'reportExpired'), show_alert: true });
+            return;
+        }
+        await bot.answerCallbackQuery(query.id);
+
+        let text;
+        let replyMarkup;
+        if (action === 'd') {
+            const rank = parseInt(args[0]);
+            const startRank = Math.max(1, parseInt(args[1]) || 1);
+            const view = VIEWS_BY_CODE[args[2]] || 'all';
+            text = analyzer.formatBuyerDetails(results, rank);
+            replyMarkup = buildDetailsKeyboard(analyzer, results, startRank, view);
+        } else {
+            const startRank = Math.max(1, parseInt(args[0]) || 1);
+            const view = VIEWS_BY_CODE[args[1]] || 'all';
+            text = analyzer.formatResults(results, startRank, startRank + pageSize - 1, view);
+            replyMarkup = buildResultsKeyboard(analyzer, results, startRank, view, pageSize);
+        }
+
+        await bot.editMessageText(text, {
+            chat_id: chatId,
+            message_id: query.message.message_id,
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true,
+            reply_markup: replyMarkup
+        });
+    } catch (error) {
+        // Clicking the current page again is not an error
+        if (error.message.includes('message is not modified')) return;
+        console.error('❌ Callback error:', error.message);
+        bot.sendMessage(chatId, tr(chatId, 'error', { message: error.message }));
     }
 });
 
@@ -506,31 +960,51 @@ bot.on('error', (error) => {
     console.error('❌ Bot error:', error.message);
 });
 
-// Server startup
-app.listen(PORT, async () => {
-    console.log(`🚀 Server started on port ${PORT}`);
-    
-    try {
-        const webhookUrl = `https://${process.env.RENDER_EXTERNAL_HOSTNAME}/bot${TELEGRAM_BOT_TOKEN}`;
-        await bot.setWebHook(webhookUrl);
-        console.log(`✅ Webhook: ${webhookUrl}`);
-    } catch (error) {
-        console.error('❌ Webhook error:', error.message);
+// Server startup. Telegram keeps the webhook across restarts: the stores are loaded before the server
+// takes updates, or a write in between would save their empty defaults over the files
+async function start() {
+    await settings.load();
+    if (!access.restricted) {
+        console.warn('⚠️ No BOT_ADMINS or ALLOWED_IDS: anyone can use the bot');
     }
-    
-    // Keep-alive system to prevent Render from sleeping
-    const keepAlive = () => {
-        const url = `https://${process.env.RENDER_EXTERNAL_HOSTNAME}`;
-        console.log(`🏓 Keep-alive ping to ${url}`);
+    await watchlist.load();
+    await launchHistory.load();
+
+    app.listen(PORT, async () => {
+        console.log(`🚀 Server started on port ${PORT}`);
         
-        axios.get(url)
-            .then(() => console.log('✅ Keep-alive successful'))
-            .catch(err => console.log('⚠️ Keep-alive failed:', err.message));
-    };
-    
-    // Ping every 10 minutes (600,000ms)
-    setInterval(keepAlive, 10 * 60 * 1000);
-    console.log('🔄 Keep-alive system activated (ping every 10 minutes)');
-    
-    console.log('🤖 Bot ready and will stay awake!');
-});
+        try {
+            botUsername = (await bot.getMe()).username;
+        } catch (error) {
+            console.warn('⚠️ getMe failed, wallet profile links disabled:', error.message);
+        }
+        
+        launchMonitor.start();
+        
+        try {
+            const webhookUrl = `https://${process.env.RENDER_EXTERNAL_HOSTNAME}/bot${TELEGRAM_BOT_TOKEN}`;
+            await bot.setWebHook(webhookUrl);
+            console.log(`✅ Webhook: ${webhookUrl}`);
+        } catch (error) {
+            console.error('❌ Webhook error:', error.message);
+        }
+        
+        // Keep-alive system to prevent Render from sleeping
+        const keepAlive = () => {
+            const url = `https://${process.env.RENDER_EXTERNAL_HOSTNAME}`;
+            console.log(`🏓 Keep-alive ping to ${url}`);
+        
+            axios.get(url)
+                .then(() => console.log('✅ Keep-alive successful'))
+                .catch(err => console.log('⚠️ Keep-alive failed:', err.message));
+        };
+        
+        // Ping every 10 minutes (600,000ms)
+        setInterval(keepAlive, 10 * 60 * 1000);
+        console.log('🔄 Keep-alive system activated (ping every 10 minutes)');
+        
+        console.log('🤖 Bot ready and will stay awake!');
+    });
+}
+
+start();
@@ -0,0 +1,64 @@
+// Who may use the bot and how much: bot admins, allow-list and per-user request quota
+const DEFAULT_OPTIONS = {
+    // Telegram user IDs; setting admins or an allow-list makes the bot private
+    admins: (process.env.BOT_ADMINS || '').split(',').map(id => id.trim()).filter(Boolean),
+    allowed: (process.env.ALLOWED_IDS || '').split(',').map(id => id.trim()).filter(Boolean),
+    quota: parseInt(process.env.USER_QUOTA) || 30,   // costly requests per user...
+    quotaWindowMs: 24 * 60 * 60 * 1000               // ...per window
+};
+
+class AccessControl {
+    // store must provide data.allowed (IDs added with /allow)
+    constructor(store, options = {}) {
+        this.store = store;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.admins = new Set(this.options.admins);
+        this.windows = new Map(); // userId -> { start, count }
+    }
+
+    get restricted() {
+        return this.admins.size > 0 || this.options.allowed.length > 0 || this.store.data.allowed.length > 0;
+    }
+
+    isAdmin(userId) {
+        return this.admins.has(String(userId));
+    }
+
+    // A user is let in on their own ID or on the ID of the chat they write from
+    isAllowed(userId, chatId) {
+        if (!this.restricted || this.isAdmin(userId)) return true;
+        const allowed = new Set([...this.options.allowed, ...this.store.data.allowed]);
+        return allowed.has(String(userId)) || allowed.has(String(chatId));
+    }
+
+    // Counts one costly request; fixed window per user, admins are not counted
+    take(userId) {
+        const now = Date.now();
+        let window = this.windows.get(userId);
+        if (!window || now - window.start >= this.options.quotaWindowMs) {
+            window = { start: now, count: 0 };
+            this.windows.set(userId, window);
+        }
+
+        const resetMs = window.start + this.options.quotaWindowMs - now;
+        if (this.isAdmin(userId)) {
+            return { ok: true, remaining: this.options.quota, resetMs };
+        }
+        if (window.count >= this.options.quota) {
+            return { ok: false, remaining: 0, resetMs };
+        }
+        window.count++;
+        return { ok: true, remaining: this.options.quota - window.count, resetMs };
+    }
+
+    usage(userId) {
+        const window = this.windows.get(userId);
+        const now = Date.now();
+        if (!window || now - window.start >= this.options.quotaWindowMs) {
+            return { remaining: this.options.quota, resetMs: this.options.quotaWindowMs };
+        }
+        return { remaining: Math.max(0, this.options.quota - window.count), resetMs: window.start + this.options.quotaWindowMs - now };
+    }
+}
+
+module.exports = { AccessControl, DEFAULT_OPTIONS };
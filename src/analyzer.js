@@ -0,0 +1,1954 @@
+const { ethers } = require('ethers');
+const { DEFAULT_CHAIN, getChain } = require('./chains');
+const { getClient } = require('./client');
+const { BundleDetector } = require('./bundles');
+const { FundingTracer } = require('./funding');
+const { HoldingsTracker } = require('./holdings');
+const { WalletProfiler } = require('./profile');
+const { SafetyScanner } = require('./safety');
+const { HolderIndex } = require('./holders');
+const { LaunchTimeline } = require('./timeline');
+
+// Basic ABI
+const ERC20_ABI = [
+    "function decimals() external view returns (uint8)",
+    "function symbol() external view returns (string)",
+    "function name() external view returns (string)",
+    "function totalSupply() external view returns (uint256)",
+    "function balanceOf(address account) external view returns (uint256)"
+];
+
+// Uniswap V2/V3-compatible DEX ABIs (factories per chain live in src/chains.js)
+const UNISWAP_V2_FACTORY_ABI = [
+    "function getPair(address tokenA, address tokenB) external view returns (address pair)",
+    "event PairCreated(address indexed token0, address indexed token1, address pair, uint256)"
+];
+
+const UNISWAP_V3_FACTORY_ABI = [
+    "function getPool(address tokenA, address tokenB, uint24 fee) external view returns (address pool)",
+    "event PoolCreated(address indexed token0, address indexed token1, uint24 indexed fee, int24 tickSpacing, address pool)"
+];
+
+const UNISWAP_V2_PAIR_ABI = [
+    "function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)",
+    "event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)",
+    "event Mint(address indexed sender, uint256 amount0, uint256 amount1)"
+];
+
+// slot0 is cut after the tick: forks (PancakeSwap V3) change the trailing fields
+const UNISWAP_V3_POOL_ABI = [
+    "function slot0() external view returns (uint160 sqrtPriceX96, int24 tick)",
+    "event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)",
+    "event Mint(address sender, address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)"
+];
+
+const V2_FACTORY_IFACE = new ethers.Interface(UNISWAP_V2_FACTORY_ABI);
+const V3_FACTORY_IFACE = new ethers.Interface(UNISWAP_V3_FACTORY_ABI);
+const V2_PAIR_IFACE = new ethers.Interface(UNISWAP_V2_PAIR_ABI);
+const V3_POOL_IFACE = new ethers.Interface(UNISWAP_V3_POOL_ABI);
+
+// Swap log scanning: blocks per eth_getLogs call, and how far after launch we look for buys
+const LOG_CHUNK_SIZE = 2000;
+const MAX_SWAP_SCAN_BLOCKS = 50000;
+// Explorers cap page x offset at 10,000 rows per query
+const TOKENTX_PAGE_SIZE = 10000;
+// Buyers enriched (gas, bribe, funding) in parallel: their RPC calls go out as JSON-RPC batches
+const ENRICH_CONCURRENCY = 10;
+
+// Cached analyses of another version are rebuilt. 2: amounts net of transfer taxes, supply read at the buy block
+const ANALYSIS_VERSION = 2;
+
+// Balances and sells of cached analyses are refreshed when older than this
+const HOLDINGS_TTL_MS = 5 * 60 * 1000;
+
+// Bundles listed in full in the report header, the rest are reachable through the bundle view
+const MAX_BUNDLES_SHOWN = 5;
+const MAX_FUNDING_GROUPS_SHOWN = 5;
+// Timelines go out as several messages below Telegram's 4096 characters, long blocks are cut
+const MAX_MESSAGE_LENGTH = 4000;
+const MAX_TIMELINE_TXS_PER_BLOCK = 40;
+
+// Native amounts are small: keep enough decimals to tell bribes apart
+function formatNative(value) {
+    return value.toLocaleString('en-US', { maximumFractionDigits: value >= 1 ? 3 : 5 });
+}
+
+function formatSigned(value) {
+    return `${value >= 0 ? '+' : '-'}${formatNative(Math.abs(value))}`;
+}
+
+function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes}m`;
+    if (minutes < 24 * 60) return `${(minutes / 60).toFixed(1)}h`;
+    return `${(minutes / (24 * 60)).toFixed(1)}d`;
+}
+
+// Analyses run outside the bot's job queue report progress to nobody and can't be cancelled
+const NO_TASK = { progress: () => {}, check: () => {} };
+
+// Errors meaning the token simply hasn't traded (as opposed to a network failure) carry code NO_TRADES
+function noTradesError(message) {
+    const error = new Error(message);
+    error.code = 'NO_TRADES';
+    return error;
+}
+
+const HOLDING_STATUS = {
+    holding: '💎 Holding',
+    partial: '📉 Partially sold',
+    exited: '🚪 Fully exited',
+    unknown: '❔ Unknown'
+};
+
+class SimpleTokenAnalyzer {
+    // client: data source with provider and explorer(params), the chain's shared DataClient by default.
+    // walletProfileUrl(chain, wallet): link shown next to wallets, none by default.
+    // launches: LaunchStore kept in step with every analysis, none by default
+    constructor(chain = getChain(DEFAULT_CHAIN), cache = null, { client = null, walletProfileUrl = null, launches = null } = {}) {
+        this.chain = chain;
+        this.cache = cache;
+        this.launches = launches;
+        this.walletProfileUrl = walletProfileUrl || (() => null);
+        // Exchanges and mixers fund everyone: the detector never reads them as a shared funder
+        this.neutralFunders = [...Object.keys(chain.cexWallets || {}), ...Object.keys(chain.mixers || {})];
+        this.bundleDetector = new BundleDetector({ ignoredFunders: this.neutralFunders });
+        this.fundingOptions = {};
+        this.holdingsTracker = new HoldingsTracker(this);
+        this.walletProfiler = new WalletProfiler(this);
+        this.safetyScanner = new SafetyScanner(this);
+        this.holderIndex = new HolderIndex(this);
+        this.launchTimeline = new LaunchTimeline(this);
+        this.client = client || getClient(chain);
+        this.provider = this.client.provider;
+        // Routers never hold tokens for long: a swap sent to them is forwarded to the real buyer
+        this.routers = new Set(chain.routers);
+        this.blockCache = new Map();
+        this.supplyCache = new Map();
+    }
+
+    async getTokenInfo(contractAddress) {
+        try {
+            console.log(`🔍 Getting token info for: ${contractAddress}`);
+            
+            const contract = new ethers.Contract(contractAddress, ERC20_ABI, this.provider);
+            
+            const [name, symbol, decimals, totalSupply] = await Promise.allSettled([
+                contract.name(),
+                contract.symbol(), 
+                contract.decimals(),
+                contract.totalSupply()
+            ]);
+
+            const tokenName = name.status === 'fulfilled' ? name.value : 'Unknown Token';
+            const tokenSymbol = symbol.status === 'fulfilled' ? symbol.value : 'TOKEN';
+            const tokenDecimals = decimals.status === 'fulfilled' ? Number(decimals.value) : 18;
+            const tokenTotalSupply = totalSupply.status === 'fulfilled' ? totalSupply.value : 0n;
+            
+            let readableSupply = 0;
+            if (tokenTotalSupply > 0n) {
+                readableSupply = parseFloat(ethers.formatUnits(tokenTotalSupply, tokenDecimals));
+            }
+            
+            console.log(`✅ Token: ${tokenName} (${tokenSymbol}) - ${tokenDecimals} decimals`);
+            console.log(`📊 Supply: ${readableSupply.toLocaleString('en-US')} ${tokenSymbol}`);
+            
+            return { 
+                name: tokenName, 
+                symbol: tokenSymbol, 
+                decimals: tokenDecimals,
+                totalSupply: readableSupply
+            };
+        } catch (error) {
+            console.error('❌ Token info error:', error.message);
+            return {
+                name: 'Unknown Token',
+                symbol: 'TOKEN',
+                decimals: 18,
+                totalSupply: 0
+            };
+        }
+    }
+
+    // null when the explorer could not be reached: unknown, not "no bribe"
+    async getBribeAmount(txHash, coinbase = null) {
+        try {
+            const data = await this.client.explorer({
+                module: 'account',
+                action: 'txlistinternal',
+                txhash: txHash
+            });
+            
+            if (data.status === '1' && data.result) {
+                // Block builder known: the bribe is whatever the tx sent to it
+                if (coinbase) {
+                    return data.result
+                        .filter(tx => tx.to && tx.to.toLowerCase() === coinbase)
+                        .reduce((sum, tx) => sum + parseFloat(ethers.formatEther(tx.value)), 0);
+                }
+
+                // Chercher les Transfer directs (pas les Deposit/Swap)
+                for (const tx of data.result) {
+                    // Transfer direct = input vide ou très court (pas un swap complexe)
+                    if (tx.input === '0x' || tx.input.length <= 10) {
+                        const bribeAmount = parseFloat(ethers.formatEther(tx.value));
+                        if (bribeAmount > 0) {
+                            return bribeAmount;
+                        }
+                    }
+                }
+            }
+            
+            return 0;
+        } catch (error) {
+            console.warn(`⚠️ Bribe detection failed for ${txHash}:`, error.message);
+            return null;
+        }
+    }
+
+    // Native coin sent to the block builder by each transaction of a block (internal calls), by tx hash; null if the explorer failed
+    async getBlockBribes(blockNumber, coinbase) {
+        try {
+            const data = await this.client.explorer({
+                module: 'account',
+                action: 'txlistinternal',
+                address: coinbase,
+                startblock: blockNumber,
+                endblock: blockNumber,
+                sort: 'asc'
+            });
+            if (!Array.isArray(data.result)) return null;
+
+            const bribes = new Map();
+            for (const tx of data.result) {
+                if (!tx.to || tx.to.toLowerCase() !== coinbase) continue;
+                const hash = tx.hash.toLowerCase();
+                bribes.set(hash, (bribes.get(hash) || 0) + parseFloat(ethers.formatEther(tx.value)));
+            }
+            return bribes;
+        } catch (error) {
+            console.warn(`⚠️ Block bribes failed for ${blockNumber}:`, error.message);
+            return null;
+        }
+    }
+
+    async getTransactionDetails(txHash) {
+        try {
+            const tx = await this.provider.getTransaction(txHash);
+            if (!tx) return null;
+
+            return {
+                from: tx.from.toLowerCase(),
+                maxPriorityFee: tx.maxPriorityFeePerGas ? parseFloat(ethers.formatUnits(tx.maxPriorityFeePerGas, 'gwei')) : 0,
+                transactionIndex: tx.index
+            };
+        } catch (error) {
+            console.warn(`⚠️ Transaction details failed for ${txHash}:`, error.message);
+            return null;
+        }
+    }
+
+    async getBlock(blockNumber) {
+        if (!this.blockCache.has(blockNumber)) {
+            const request = this.provider.getBlock(blockNumber).catch((error) => {
+                console.warn(`⚠️ Block ${blockNumber} failed:`, error.message);
+                this.blockCache.delete(blockNumber);
+                return null;
+            });
+            this.blockCache.set(blockNumber, request);
+        }
+        return this.blockCache.get(blockNumber);
+    }
+
+    // Total supply as of a block (historical eth_call), cached per block; null when the node can't serve that block
+    async getTotalSupplyAt(contractAddress, blockNumber, decimals) {
+        const key = `${contractAddress.toLowerCase()}:${blockNumber}`;
+        if (!this.supplyCache.has(key)) {
+            const contract = new ethers.Contract(contractAddress, ERC20_ABI, this.provider);
+            const request = contract.totalSupply({ blockTag: blockNumber })
+                .then(supply => parseFloat(ethers.formatUnits(supply, decimals)))
+                .catch((error) => {
+                    console.warn(`⚠️ Total supply at block ${blockNumber} failed:`, error.message);
+                    this.supplyCache.delete(key);
+                    return null;
+                });
+            this.supplyCache.set(key, request);
+        }
+        return this.supplyCache.get(key);
+    }
+
+    // What it cost to land the tx in its slot: gas paid, tip to the builder and direct bribe
+    // Anything that could not be fetched is null and listed in `missing`
+    async getGasEconomics(txHash, blockNumber) {
+        const [details, receipt, block] = await Promise.all([
+            this.getTransactionDetails(txHash),
+            this.provider.getTransactionReceipt(txHash).catch((error) => {
+                console.warn(`⚠️ Receipt failed for ${txHash}:`, error.message);
+                return null;
+            }),
+            this.getBlock(blockNumber)
+        ]);
+
+        const coinbase = block ? block.miner.toLowerCase() : null;
+        const bribe = await this.getBribeAmount(txHash, coinbase);
+        const missing = [];
+        if (!receipt || !block) missing.push('gas');
+        if (bribe === null) missing.push('bribe');
+
+        const economics = {
+            gasPrice: null,
+            priorityFee: null,
+            maxPriorityFee: details ? details.maxPriorityFee : null,
+            gasUsed: null,
+            gasCost: null,
+            priorityCost: null,
+            bribe,
+            bribeRecipient: bribe > 0 ? coinbase : null,
+            totalCost: null,
+            missing
+        };
+
+        if (receipt && block) {
+            const baseFee = block.baseFeePerGas || 0n;
+            const effectiveGasPrice = receipt.gasPrice;
+            const tip = effectiveGasPrice > baseFee ? effectiveGasPrice - baseFee : 0n;
+            economics.gasPrice = parseFloat(ethers.formatUnits(effectiveGasPrice, 'gwei'));
+            economics.priorityFee = parseFloat(ethers.formatUnits(tip, 'gwei'));
+            economics.gasUsed = Number(receipt.gasUsed);
+            economics.gasCost = parseFloat(ethers.formatEther(receipt.gasUsed * effectiveGasPrice));
+            economics.priorityCost = parseFloat(ethers.formatEther(receipt.gasUsed * tip));
+            economics.totalCost = bribe !== null ? economics.gasCost + bribe : null;
+        }
+
+        return economics;
+    }
+
+    // Earliest native coin transfers received by a wallet (normal and internal), before a block; null if the explorer failed
+    async getIncomingTransfers(wallet, beforeBlock) {
+        const fetch = async (action) => {
+            try {
+                const data = await this.client.explorer({
+                    module: 'account',
+                    action,
+                    address: wallet,
+                    startblock: 0,
+                    endblock: beforeBlock - 1,
+                    page: 1,
+                    offset: 20,
+                    sort: 'asc'
+                });
+                return data.status === '1' && Array.isArray(data.result) ? data.result : [];
+            } catch (error) {
+                console.warn(`⚠️ ${action} failed for ${wallet}:`, error.message);
+                return null;
+            }
+        };
+
+        const [normal, internal] = await Promise.all([fetch('txlist'), fetch('txlistinternal')]);
+        // Unknown funding is not the same as no funding
+        if (normal === null || internal === null) return null;
+        const toTransfer = (internalTransfer) => (tx) => ({
+            from: tx.from.toLowerCase(),
+            value: parseFloat(ethers.formatEther(tx.value)),
+            blockNumber: parseInt(tx.blockNumber),
+            txHash: tx.hash,
+            internal: internalTransfer
+        });
+        const isIncoming = tx => tx.to && tx.to.toLowerCase() === wallet && tx.value !== '0' && tx.isError === '0';
+
+        return [
+            ...normal.filter(isIncoming).map(toTransfer(false)),
+            ...internal.filter(isIncoming).map(toTransfer(true))
+        ].sort((a, b) => a.blockNumber - b.blockNumber);
+    }
+
+    async getTransactionSender(txHash) {
+        try {
+            const tx = await this.provider.getTransaction(txHash);
+            return tx ? tx.from.toLowerCase() : null;
+        } catch (error) {
+            console.warn(`⚠️ Transaction sender failed for ${txHash}:`, error.message);
+            return null;
+        }
+    }
+
+    async getDeployer(contractAddress) {
+        try {
+            const data = await this.client.explorer({
+                module: 'contract',
+                action: 'getcontractcreation',
+                contractaddresses: contractAddress
+            });
+
+            if (data.status === '1' && data.result && data.result[0]) {
+                return data.result[0].contractCreator.toLowerCase();
+            }
+
+            return null;
+        } catch (error) {
+            console.warn(`⚠️ Deployer lookup failed for ${contractAddress}:`, error.message);
+            return null;
+        }
+    }
+
+    // Verified source entry (SourceCode, ABI, ContractName, Proxy, Implementation...), null if the explorer failed
+    async getContractSource(address) {
+        try {
+            const data = await this.client.explorer({
+                module: 'contract',
+                action: 'getsourcecode',
+                address
+            });
+
+            return data.status === '1' && data.result && data.result[0] ? data.result[0] : null;
+        } catch (error) {
+            console.warn(`⚠️ Source lookup failed for ${address}:`, error.message);
+            return null;
+        }
+    }
+
+    async getTokenBalances(contractAddress, wallets, decimals) {
+        const contract = new ethers.Contract(contractAddress, ERC20_ABI, this.provider);
+        const balances = new Map();
+
+        // Small batches so a 100-wallet report doesn't fire 100 calls at once
+        for (let i = 0; i < wallets.length; i += 10) {
+            const batch = wallets.slice(i, i + 10);
+            const results = await Promise.allSettled(batch.map(wallet => contract.balanceOf(wallet)));
+            results.forEach((result, index) => {
+                if (result.status === 'fulfilled') {
+                    balances.set(batch[index], parseFloat(ethers.formatUnits(result.value, decimals)));
+                } else {
+                    console.warn(`⚠️ Balance failed for ${batch[index]}:`, result.reason.message);
+                }
+            });
+        }
+
+        return balances;
+    }
+
+    // Spot price in native coin from the deepest wrapped-native pool
+    async getTokenPrice(pools, decimals) {
+        let best = null;
+
+        for (const pool of pools.filter(candidate => candidate.quoteToken === this.chain.wrappedNative)) {
+            try {
+                let price;
+                if (pool.version === 'v2') {
+                    const pair = new ethers.Contract(pool.address, UNISWAP_V2_PAIR_ABI, this.provider);
+                    const [reserve0, reserve1] = await pair.getReserves();
+                    const tokenReserve = parseFloat(ethers.formatUnits(pool.tokenIsToken0 ? reserve0 : reserve1, decimals));
+                    const quoteReserve = parseFloat(ethers.formatUnits(pool.tokenIsToken0 ? reserve1 : reserve0, pool.quoteDecimals));
+                    price = tokenReserve > 0 ? quoteReserve / tokenReserve : 0;
+                } else {
+                    const v3Pool = new ethers.Contract(pool.address, UNISWAP_V3_POOL_ABI, this.provider);
+                    const [sqrtPriceX96] = await v3Pool.slot0();
+                    const ratio = (Number(sqrtPriceX96) / 2 ** 96) ** 2;
+                    const token1PerToken0 = pool.tokenIsToken0
+                        ? ratio * 10 ** (decimals - pool.quoteDecimals)
+                        : ratio * 10 ** (pool.quoteDecimals - decimals);
+                    price = pool.tokenIsToken0 ? token1PerToken0 : (token1PerToken0 > 0 ? 1 / token1PerToken0 : 0);
+                }
+
+                const quote = new ethers.Contract(pool.quoteToken, ERC20_ABI, this.provider);
+                const liquidity = parseFloat(ethers.formatUnits(await quote.balanceOf(pool.address), pool.quoteDecimals));
+
+                if (price > 0 && (!best || liquidity > best.liquidity)) {
+                    best = { price, liquidity, pool: pool.address };
+                }
+            } catch (error) {
+                console.warn(`⚠️ Price failed for pool ${pool.address}:`, error.message);
+            }
+        }
+
+        return best;
+    }
+
+    // Native coin received by the pool swaps of a sell transaction, null if the receipt is unavailable
+    async getSellProceeds(txHash, pools) {
+        try {
+            const receipt = await this.provider.getTransactionReceipt(txHash);
+            if (!receipt) return null;
+
+            const poolsByAddress = new Map(pools.map(pool => [pool.address, pool]));
+            return receipt.logs
+                .map(log => this.parsePoolLog(log, poolsByAddress.get(log.address.toLowerCase())))
+                .filter(event => event && event.type === 'sell' && event.pool.quoteToken === this.chain.wrappedNative)
+                .reduce((sum, event) => sum + parseFloat(ethers.formatUnits(event.quoteAmount, event.pool.quoteDecimals)), 0);
+        } catch (error) {
+            console.warn(`⚠️ Sell proceeds failed for ${txHash}:`, error.message);
+            return null;
+        }
+    }
+
+    // Every transfer of the token from startBlock on, paging past the explorer's 10k-rows-per-query cap
+    async getTokenTransactions(contractAddress, startBlock = 0) {
+        console.log(`📡 Getting transactions from block ${startBlock}...`);
+        const transactions = [];
+        let fromBlock = startBlock;
+
+        for (;;) {
+            const data = await this.client.explorer({
+                module: 'account',
+                action: 'tokentx',
+                contractaddress: contractAddress,
+                startblock: fromBlock,
+                endblock: 'latest',
+                page: 1,
+                offset: TOKENTX_PAGE_SIZE,
+                sort: 'asc'
+            });
+
+            if (data.status !== '1') {
+                // Nothing (more) to fetch is not an error, unless the token never moved at all
+                if (data.message === 'No transactions found') {
+                    if (transactions.length === 0 && startBlock === 0) throw noTradesError('No transactions found');
+                    break;
+                }
+                throw new Error(`Transactions error: ${data.result || data.message}`);
+            }
+
+            // Only keep what the analysis needs, the rest bloats the cache
+            let rows = data.result.map(tx => ({
+                hash: tx.hash,
+                from: tx.from,
+                to: tx.to,
+                value: tx.value,
+                blockNumber: tx.blockNumber,
+                timeStamp: tx.timeStamp
+            }));
+
+            if (rows.length < TOKENTX_PAGE_SIZE) {
+                transactions.push(...rows);
+                break;
+            }
+
+            // Full page: the last block may be cut, so drop it and start the next page from it
+            const lastBlock = parseInt(rows[rows.length - 1].blockNumber);
+            const complete = rows.filter(tx => parseInt(tx.blockNumber) < lastBlock);
+            if (complete.length === 0) {
+                console.warn(`⚠️ Block ${lastBlock} alone has more than ${TOKENTX_PAGE_SIZE} transfers, some are missing`);
+                transactions.push(...rows);
+                fromBlock = lastBlock + 1;
+                continue;
+            }
+            rows = complete;
+            transactions.push(...rows);
+            fromBlock = lastBlock;
+            console.log(`📄 ${transactions.length} transactions so far, next page from block ${fromBlock}`);
+        }
+
+        console.log(`✅ ${transactions.length} transactions found`);
+        return transactions;
+    }
+
+    // Every token transfer in or out of a wallet, newest first
+    async getWalletTokenTransfers(wallet) {
+        try {
+            const data = await this.client.explorer({
+                module: 'account',
+                action: 'tokentx',
+                address: wallet,
+                page: 1,
+                offset: 1000,
+                sort: 'desc'
+            });
+            if (data.status !== '1' || !Array.isArray(data.result)) return [];
+
+            return data.result.map(tx => ({
+                contractAddress: tx.contractAddress.toLowerCase(),
+                from: tx.from.toLowerCase(),
+                to: tx.to.toLowerCase(),
+                blockNumber: parseInt(tx.blockNumber),
+                timeStamp: parseInt(tx.timeStamp)
+            }));
+        } catch (error) {
+            console.warn(`⚠️ Wallet token transfers failed for ${wallet}:`, error.message);
+            return [];
+        }
+    }
+
+    // Block and time of a token's very first transfer (usually its mint at deployment)
+    async getFirstTokenTransfer(contractAddress) {
+        try {
+            const data = await this.client.explorer({
+                module: 'account',
+                action: 'tokentx',
+                contractaddress: contractAddress,
+                page: 1,
+                offset: 1,
+                sort: 'asc'
+            });
+            const tx = data.status === '1' ? data.result[0] : null;
+            return tx ? { blockNumber: parseInt(tx.blockNumber), timeStamp: parseInt(tx.timeStamp) } : null;
+        } catch (error) {
+            console.warn(`⚠️ First transfer failed for ${contractAddress}:`, error.message);
+            return null;
+        }
+    }
+
+    async findPools(contractAddress) {
+        const token = ethers.getAddress(contractAddress);
+        const tokenTopic = ethers.zeroPadValue(token, 32);
+        const pools = new Map();
+
+        const addPool = (dex, address, token0, token1, fee, createdBlock) => {
+            const key = address.toLowerCase();
+            if (address === ethers.ZeroAddress || pools.has(key)) return;
+            pools.set(key, this.describePool(dex, address, token0, token1, fee, createdBlock, token));
+        };
+
+        // PairCreated / PoolCreated logs with the token on either side
+        for (const dex of this.chain.dexes) {
+            const iface = dex.version === 'v2' ? V2_FACTORY_IFACE : V3_FACTORY_IFACE;
+            const event = dex.version === 'v2' ? 'PairCreated' : 'PoolCreated';
+            const eventTopic = iface.getEvent(event).topicHash;
+
+            for (const topics of [[eventTopic, tokenTopic], [eventTopic, null, tokenTopic]]) {
+                try {
+                    const logs = await this.provider.getLogs({ address: dex.factory, topics, fromBlock: 0, toBlock: 'latest' });
+                    for (const log of logs) {
+                        const created = this.parsePoolCreation(log, dex);
+                        addPool(dex, created.address, created.token0, created.token1, created.fee, log.blockNumber);
+                    }
+                } catch (error) {
+                    console.warn(`⚠️ ${dex.name} ${event} log search failed:`, error.message);
+                }
+            }
+        }
+
+        // Direct factory lookups against the wrapped native token, in case the log search was rejected by the RPC
+        const wrapped = ethers.getAddress(this.chain.wrappedNative);
+        const [token0, token1] = token.toLowerCase() < wrapped.toLowerCase() ? [token, wrapped] : [wrapped, token];
+        for (const dex of this.chain.dexes) {
+            if (dex.version === 'v2') {
+                try {
+                    const factory = new ethers.Contract(dex.factory, UNISWAP_V2_FACTORY_ABI, this.provider);
+                    addPool(dex, await factory.getPair(token, wrapped), token0, token1, 3000, null);
+                } catch (error) {
+                    console.warn(`⚠️ ${dex.name} getPair failed:`, error.message);
+                }
+                continue;
+            }
+
+            const factory = new ethers.Contract(dex.factory, UNISWAP_V3_FACTORY_ABI, this.provider);
+            for (const fee of dex.fees) {
+                try {
+                    addPool(dex, await factory.getPool(token, wrapped, fee), token0, token1, fee, null);
+                } catch (error) {
+                    console.warn(`⚠️ ${dex.name} getPool (${fee}) failed:`, error.message);
+                }
+            }
+        }
+
+        for (const pool of pools.values()) {
+            const quote = await this.getQuoteTokenInfo(pool.quoteToken);
+            pool.quoteSymbol = quote.symbol;
+            pool.quoteDecimals = quote.decimals;
+            console.log(`🏊 Pool ${pool.dex} ${pool.address} (${quote.symbol})`);
+        }
+
+        return [...pools.values()];
+    }
+
+    describePool(dex, address, token0, token1, fee, createdBlock, token) {
+        const tokenIsToken0 = token0.toLowerCase() === token.toLowerCase();
+        return {
+            address: address.toLowerCase(),
+            dex: dex.name,
+            version: dex.version,
+            token0: token0.toLowerCase(),
+            token1: token1.toLowerCase(),
+            tokenIsToken0,
+            quoteToken: (tokenIsToken0 ? token1 : token0).toLowerCase(),
+            fee,
+            createdBlock
+        };
+    }
+
+    parsePoolCreation(log, dex) {
+        const parsed = (dex.version === 'v2' ? V2_FACTORY_IFACE : V3_FACTORY_IFACE).parseLog(log);
+        return dex.version === 'v2'
+            ? { address: parsed.args.pair, token0: parsed.args.token0, token1: parsed.args.token1, fee: 3000 }
+            : { address: parsed.args.pool, token0: parsed.args.token0, token1: parsed.args.token1, fee: Number(parsed.args.fee) };
+    }
+
+    // Every pair/pool created on the chain's DEXes in a block range, whatever the tokens
+    async getNewPools(fromBlock, toBlock) {
+        const dexByFactory = new Map(this.chain.dexes.map(dex => [dex.factory.toLowerCase(), dex]));
+        const logs = await this.provider.getLogs({
+            address: this.chain.dexes.map(dex => dex.factory),
+            topics: [[V2_FACTORY_IFACE.getEvent('PairCreated').topicHash, V3_FACTORY_IFACE.getEvent('PoolCreated').topicHash]],
+            fromBlock,
+            toBlock
+        });
+
+        return logs.map((log) => {
+            const dex = dexByFactory.get(log.address.toLowerCase());
+            return { dex, blockNumber: log.blockNumber, ...this.parsePoolCreation(log, dex) };
+        });
+    }
+
+    async getQuoteTokenInfo(quoteAddress) {
+        if (quoteAddress === this.chain.wrappedNative) {
+            return { symbol: this.chain.wrappedNativeSymbol, decimals: 18 };
+        }
+
+        try {
+            const contract = new ethers.Contract(quoteAddress, ERC20_ABI, this.provider);
+            const [symbol, decimals] = await Promise.all([contract.symbol(), contract.decimals()]);
+            return { symbol, decimals: Number(decimals) };
+        } catch (error) {
+            console.warn(`⚠️ Quote token info failed for ${quoteAddress}:`, error.message);
+            return { symbol: 'TOKEN', decimals: 18 };
+        }
+    }
+
+    async getPoolEvents(pools, fromBlock, toBlock) {
+        const poolsByAddress = new Map(pools.map(pool => [pool.address, pool]));
+        const topics = [[
+            V2_PAIR_IFACE.getEvent('Swap').topicHash,
+            V2_PAIR_IFACE.getEvent('Mint').topicHash,
+            V3_POOL_IFACE.getEvent('Swap').topicHash,
+            V3_POOL_IFACE.getEvent('Mint').topicHash
+        ]];
+
+        const logs = await this.provider.getLogs({
+            address: pools.map(pool => pool.address),
+            topics,
+            fromBlock,
+            toBlock
+        });
+
+        const events = logs
+            .map(log => this.parsePoolLog(log, poolsByAddress.get(log.address.toLowerCase())))
+            .filter(event => event !== null);
+
+        return events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    }
+
+    // Decode a Swap or Mint log of one of the token's pools into a buy, sell or mint event
+    parsePoolLog(log, pool) {
+        if (!pool) return null;
+
+        const parsed = (pool.version === 'v2' ? V2_PAIR_IFACE : V3_POOL_IFACE).parseLog(log);
+        if (!parsed) return null;
+
+        const base = {
+            pool,
+            txHash: log.transactionHash,
+            blockNumber: log.blockNumber,
+            transactionIndex: log.transactionIndex,
+            logIndex: log.index
+        };
+
+        if (parsed.name === 'Mint') {
+            const { amount0, amount1 } = parsed.args;
+            return {
+                ...base,
+                type: 'mint',
+                sender: (parsed.args.owner || parsed.args.sender).toLowerCase(),
+                tokenAmount: pool.tokenIsToken0 ? amount0 : amount1,
+                quoteAmount: pool.tokenIsToken0 ? amount1 : amount0
+            };
+        }
+
+        // Token amount leaving the pool (buy) or entering it (sell), and the matching quote amount
+        let tokenOut, tokenIn, quoteIn, quoteOut, recipient;
+        if (pool.version === 'v2') {
+            const { amount0In, amount1In, amount0Out, amount1Out, to } = parsed.args;
+            tokenOut = pool.tokenIsToken0 ? amount0Out : amount1Out;
+            tokenIn = pool.tokenIsToken0 ? amount0In : amount1In;
+            quoteIn = pool.tokenIsToken0 ? amount1In : amount0In;
+            quoteOut = pool.tokenIsToken0 ? amount1Out : amount0Out;
+            recipient = to;
+        } else {
+            // V3 deltas are from the pool's point of view: negative = paid out
+            const tokenDelta = pool.tokenIsToken0 ? parsed.args.amount0 : parsed.args.amount1;
+            const quoteDelta = pool.tokenIsToken0 ? parsed.args.amount1 : parsed.args.amount0;
+            tokenOut = tokenDelta < 0n ? -tokenDelta : 0n;
+            tokenIn = tokenDelta > 0n ? tokenDelta : 0n;
+            quoteIn = quoteDelta > 0n ? quoteDelta : 0n;
+            quoteOut = quoteDelta < 0n ? -quoteDelta : 0n;
+            recipient = parsed.args.recipient;
+        }
+
+        if (tokenOut > 0n) {
+            return { ...base, type: 'buy', recipient: recipient.toLowerCase(), tokenAmount: tokenOut, quoteAmount: quoteIn };
+        }
+        if (tokenIn > 0n) {
+            return { ...base, type: 'sell', recipient: recipient.toLowerCase(), tokenAmount: tokenIn, quoteAmount: quoteOut };
+        }
+        return null;
+    }
+
+    resolveBuyer(event, txTransfers, poolAddresses) {
+        const recipient = event.recipient;
+        if (!this.routers.has(recipient)) return recipient;
+
+        // Tokens went to a router: follow them to whoever the router forwarded them to.
+        // A taxed forward splits them: the buyer gets the largest part, the tax recipient the rest
+        const forwards = txTransfers.filter(transfer =>
+            transfer.from.toLowerCase() === recipient &&
+            !this.routers.has(transfer.to.toLowerCase()) &&
+            !poolAddresses.has(transfer.to.toLowerCase())
+        );
+        const forward = forwards.reduce((largest, transfer) => (!largest || BigInt(transfer.value) > BigInt(largest.value) ? transfer : largest), null);
+        return forward ? forward.to.toLowerCase() : recipient;
+    }
+
+    // Tokens a wallet gained over all the transfers of one transaction, null without transfer rows
+    getNetTokenChange(wallet, txTransfers, decimals) {
+        if (txTransfers.length === 0) return null;
+        let net = 0n;
+        for (const transfer of txTransfers) {
+            if (transfer.to.toLowerCase() === wallet) net += BigInt(transfer.value);
+            if (transfer.from.toLowerCase() === wallet) net -= BigInt(transfer.value);
+        }
+        return parseFloat(ethers.formatUnits(net, decimals));
+    }
+
+    async getBlockTimestamp(blockNumber, transfersByHash, txHash) {
+        const transfer = (transfersByHash.get(txHash) || [])[0];
+        if (transfer) return new Date(parseInt(transfer.timeStamp) * 1000);
+
+        const block = await this.getBlock(blockNumber);
+        return block ? new Date(block.timestamp * 1000) : null;
+    }
+
+    // bundleOptions: BundleDetector options for this result only (per-chat tolerances).
+    // onProgress(text) and signal (AbortSignal) are set by the bot's job queue
+    async analyzeFirstBuyers(contractAddress, limit = 100, { refresh = false, bundleOptions = null, onProgress = null, signal = null } = {}) {
+        console.log(`🚀 Starting analysis ${contractAddress}`);
+        const task = {
+            progress: onProgress || NO_TASK.progress,
+            check: () => { if (signal) signal.throwIfAborted(); }
+        };
+
+        // Launch records are built from a fixed number of buyers: scan at least that deep so a small chat limit doesn't skew them
+        const depth = this.launches ? Math.max(limit, this.launches.options.buyers) : limit;
+        let state = this.cache && !refresh ? await this.cache.get(this.chain.key, contractAddress) : null;
+
+        if (state && state.version !== ANALYSIS_VERSION) {
+            console.log(`💾 Cached analysis of ${contractAddress} is version ${state.version}, rebuilding`);
+            state = null;
+        }
+
+        if (state && (state.buyers.length >= depth || state.lastScannedBlock >= state.scanLimit)) {
+            console.log(`💾 Cache hit for ${contractAddress} (${state.buyers.length} buyers)`);
+
+            if (!state.holdings || Date.now() - state.holdings.updatedAt.getTime() > HOLDINGS_TTL_MS) {
+                task.progress('🔄 Refreshing cached analysis');
+                await this.syncTransfers(state);
+                await this.repairBuyers(state, null, task);
+                task.check();
+                task.progress('💼 Updating holdings');
+                await this.holdingsTracker.update(state);
+                task.progress('🛡️ Running safety checks');
+                state.safety = await this.safetyScanner.scan(state.contractAddress, state.pools);
+                await this.cache.set(this.chain.key, contractAddress, state);
+                await this.recordLaunch(state);
+            } else if (this.launches && !this.launches.get(this.chain.key, contractAddress)) {
+                // Analyzed before launch history existed
+                await this.recordLaunch(state);
+            }
+
+            return this.buildResult(state, limit, bundleOptions);
+        }
+
+        // The previous run stopped mid-chunk at a smaller limit: resuming would skip buyers
+        if (state && state.limitReached) {
+            state = null;
+        }
+
+        if (!state) {
+            state = await this.createAnalysisState(contractAddress, task);
+        }
+
+        await this.updateAnalysis(state, depth, task);
+
+        if (state.buyers.length === 0) {
+            throw noTradesError('No buys found in the token pools');
+        }
+
+        task.check();
+        task.progress('💼 Updating holdings');
+        await this.holdingsTracker.update(state);
+        task.progress('🛡️ Running safety checks');
+        state.safety = await this.safetyScanner.scan(state.contractAddress, state.pools);
+
+        if (this.cache) {
+            await this.cache.set(this.chain.key, contractAddress, state);
+        }
+        await this.recordLaunch(state);
+
+        return this.buildResult(state, limit, bundleOptions);
+    }
+
+    // The cached analysis as it stands, nothing refreshed or scanned; null when not cached.
+    // Paging through a report reads this: no work starts outside the job queue
+    async getCachedResult(contractAddress, limit = 100, bundleOptions = null) {
+        const state = this.cache ? await this.cache.get(this.chain.key, contractAddress) : null;
+        if (!state || state.version !== ANALYSIS_VERSION || state.buyers.length === 0) return null;
+        return this.buildResult(state, limit, bundleOptions);
+    }
+
+    // Launch records use the same number of first buyers and the default bundle tolerances, so launches compare alike
+    async recordLaunch(state) {
+        if (!this.launches) return;
+        await this.launches.record(this.chain, this.buildResult(state, this.launches.options.buyers));
+    }
+
+    async createAnalysisState(contractAddress, task = NO_TASK) {
+        const tokenInfo = await this.getTokenInfo(contractAddress);
+        task.progress('📡 Fetching transfers');
+        const transactions = await this.getTokenTransactions(contractAddress);
+        
+        if (transactions.length === 0) {
+            throw noTradesError('No transactions found');
+        }
+        task.check();
+        task.progress(`📡 Fetched ${transactions.length} transfers, looking for pools`);
+
+        const pools = await this.findPools(contractAddress);
+        if (pools.length === 0) {
+            throw noTradesError(`No DEX pool found for this token on ${this.chain.name}`);
+        }
+        task.check();
+
+        const firstTransferBlock = parseInt(transactions[0].blockNumber);
+        const knownCreationBlocks = pools.map(pool => pool.createdBlock).filter(block => block !== null);
+        const startBlock = knownCreationBlocks.length > 0
+            ? Math.max(firstTransferBlock, Math.min(...knownCreationBlocks))
+            : firstTransferBlock;
+
+        return {
+            version: ANALYSIS_VERSION,
+            chain: this.chain.key,
+            contractAddress: contractAddress.toLowerCase(),
+            tokenInfo,
+            deployer: await this.getDeployer(contractAddress),
+            pools,
+            transactions,
+            lastTransferBlock: parseInt(transactions[transactions.length - 1].blockNumber),
+            startBlock,
+            scanLimit: startBlock + MAX_SWAP_SCAN_BLOCKS,
+            lastScannedBlock: startBlock - 1,
+            limitReached: false,
+            buyers: [],
+            liquidityEvents: [],
+            swapHashes: []
+        };
+    }
+
+    // Extend an analysis state with the blocks it has not seen yet
+    async updateAnalysis(state, limit, task = NO_TASK) {
+        const { tokenInfo, pools } = state;
+
+        if (state.lastScannedBlock >= state.startBlock) {
+            await this.syncTransfers(state);
+        }
+
+        const poolAddresses = new Set(pools.map(pool => pool.address));
+        const transfersByHash = new Map();
+        for (const tx of state.transactions) {
+            if (!transfersByHash.has(tx.hash)) transfersByHash.set(tx.hash, []);
+            transfersByHash.get(tx.hash).push(tx);
+        }
+
+        // Older cache files were written before deployer tracking
+        if (state.deployer === undefined) {
+            state.deployer = await this.getDeployer(state.contractAddress);
+        }
+
+        await this.repairBuyers(state, transfersByHash, task);
+
+        const fundingTracer = new FundingTracer(this, this.chain, this.fundingOptions);
+        const latestBlock = await this.provider.getBlockNumber();
+        const scanEnd = Math.min(latestBlock, state.scanLimit);
+        const buyers = new Set(state.buyers.map(buyer => buyer.wallet));
+        const swapHashes = new Set(state.swapHashes);
+        const results = state.buyers;
+
+        console.log(`📡 Scanning pool events from block ${state.lastScannedBlock + 1}...`);
+
+        for (let fromBlock = state.lastScannedBlock + 1; fromBlock <= scanEnd && results.length < limit; fromBlock += LOG_CHUNK_SIZE) {
+            const toBlock = Math.min(fromBlock + LOG_CHUNK_SIZE - 1, scanEnd);
+            task.check();
+            task.progress(`🔎 Scanning blocks ${fromBlock}-${toBlock} (${results.length} buyers so far)`);
+            const events = await this.getPoolEvents(pools, fromBlock, toBlock);
+            state.lastScannedBlock = toBlock;
+            const newBuyers = [];
+
+            for (const event of events) {
+                if (event.type === 'mint') {
+                    swapHashes.add(event.txHash);
+                    state.liquidityEvents.push({
+                        sender: event.sender,
+                        pool: event.pool.address,
+                        tokenAmount: parseFloat(ethers.formatUnits(event.tokenAmount, tokenInfo.decimals)),
+                        quoteAmount: parseFloat(ethers.formatUnits(event.quoteAmount, event.pool.quoteDecimals)),
+                        quoteSymbol: event.pool.quoteSymbol,
+                        txHash: event.txHash,
+                        blockNumber: event.blockNumber
+                    });
+                    continue;
+                }
+
+                swapHashes.add(event.txHash);
+                if (event.type !== 'buy') continue;
+                if (results.length >= limit) {
+                    state.limitReached = true;
+                    continue;
+                }
+
+                // Multi-hop routes pass through our own pools: not an end buyer
+                if (poolAddresses.has(event.recipient)) continue;
+
+                const txTransfers = transfersByHash.get(event.txHash) || [];
+                const buyerAddress = this.resolveBuyer(event, txTransfers, poolAddresses);
+                // Tokens the pool sent to the token contract are its tax take, not a buy
+                if (buyerAddress === state.contractAddress || buyers.has(buyerAddress)) continue;
+                buyers.add(buyerAddress);
+
+                // What the wallet ended up with: the pool's output less any transfer tax taken on the way.
+                // Without the transfer rows, or when the tokens moved on within the tx, the pool's output is all we know
+                const poolOutput = parseFloat(ethers.formatUnits(event.tokenAmount, tokenInfo.decimals));
+                const received = this.getNetTokenChange(buyerAddress, txTransfers, tokenInfo.decimals);
+                const amount = received !== null && received > 0 ? received : poolOutput;
+                const quoteSpent = parseFloat(ethers.formatUnits(event.quoteAmount, event.pool.quoteDecimals));
+                // Against the current supply until enrichBuyers reads the supply at the buy block
+                const supplyPercent = tokenInfo.totalSupply > 0 ? (amount / tokenInfo.totalSupply) * 100 : 0;
+
+                // Gas, bribe, funding, time and supply are filled in by enrichBuyers once the chunk is scanned
+                const buyer = {
+                    rank: results.length + 1,
+                    wallet: buyerAddress,
+                    amount: amount,
+                    taxAmount: amount === received ? Math.max(0, poolOutput - received) : null,
+                    supplyPercent: supplyPercent,
+                    supplyAtBuy: null,
+                    nativeSpent: event.pool.quoteToken === this.chain.wrappedNative ? quoteSpent : null,
+                    quoteSpent: quoteSpent,
+                    quoteSymbol: event.pool.quoteSymbol,
+                    pool: event.pool.address,
+                    poolVersion: event.pool.version,
+                    txHash: event.txHash,
+                    timestamp: null,
+                    blockNumber: event.blockNumber,
+                    gasPrice: null,
+                    priorityFee: null,
+                    maxPriorityFee: null,
+                    gasUsed: null,
+                    gasCost: null,
+                    priorityCost: null,
+                    bribe: null,
+                    bribeRecipient: null,
+                    totalCost: null,
+                    funder: null,
+                    funding: null,
+                    transactionIndex: event.transactionIndex,
+                    missing: []
+                };
+                results.push(buyer);
+                newBuyers.push(buyer);
+
+                console.log(`✅ Buyer #${results.length}: ${buyerAddress} = ${amount.toLocaleString()} ${tokenInfo.symbol} for ${quoteSpent.toFixed(4)} ${event.pool.quoteSymbol} (${supplyPercent.toFixed(2)}%)`);
+            }
+
+            await this.enrichBuyers(newBuyers, transfersByHash, fundingTracer, state, task);
+        }
+
+        state.swapHashes = [...swapHashes];
+    }
+
+    async enrichBuyers(buyers, transfersByHash, fundingTracer, state, task = NO_TASK) {
+        for (let i = 0; i < buyers.length; i += ENRICH_CONCURRENCY) {
+            task.check();
+            await Promise.all(buyers.slice(i, i + ENRICH_CONCURRENCY).map(buyer =>
+                this.enrichBuyer(buyer, transfersByHash, fundingTracer, state)
+            ));
+            task.progress(`⛽ Enriched ${Math.min(i + ENRICH_CONCURRENCY, buyers.length)}/${buyers.length} buyers`);
+        }
+    }
+
+    async enrichBuyer(buyer, transfersByHash, fundingTracer, state) {
+        const { contractAddress, tokenInfo } = state;
+        const [gas, funding, timestamp, supplyAtBuy] = await Promise.all([
+            this.getGasEconomics(buyer.txHash, buyer.blockNumber),
+            fundingTracer.trace(buyer.wallet, buyer.blockNumber, state.deployer),
+            this.getBlockTimestamp(buyer.blockNumber, transfersByHash, buyer.txHash),
+            this.getTotalSupplyAt(contractAddress, buyer.blockNumber, tokenInfo.decimals)
+        ]);
+
+        // Supply burned or minted since the buy must not move its share: the current supply only stands in when the node has no history
+        const supply = supplyAtBuy !== null ? supplyAtBuy : tokenInfo.totalSupply;
+        const { missing, ...economics } = gas;
+        // An exchange or mixer paying for the buy is no funder: it would tie unrelated buyers together
+        const directFunder = funding.path.find(step => step.address !== buyer.wallet);
+        Object.assign(buyer, economics, {
+            funding,
+            funder: directFunder && fundingTracer.isLinking(directFunder.address) ? directFunder.address : null,
+            timestamp,
+            supplyAtBuy,
+            supplyPercent: supply > 0 ? (buyer.amount / supply) * 100 : 0,
+            // What could not be fetched: shown as unknown and retried on the next update
+            missing: [
+                ...missing,
+                ...(funding.stop === 'error' ? ['funding'] : []),
+                ...(timestamp === null ? ['timestamp'] : []),
+                ...(supplyAtBuy === null ? ['supply'] : [])
+            ]
+        });
+    }
+
+    // Retry the enrichment of buyers a previous run could only partly fetch
+    async repairBuyers(state, transfersByHash = null, task = NO_TASK) {
+        const incomplete = state.buyers.filter(buyer => buyer.missing && buyer.missing.length > 0);
+        if (incomplete.length === 0) return;
+
+        console.log(`🩹 Retrying missing data for ${incomplete.length} buyers...`);
+        if (!transfersByHash) {
+            transfersByHash = new Map();
+            for (const tx of state.transactions) {
+                if (!transfersByHash.has(tx.hash)) transfersByHash.set(tx.hash, []);
+                transfersByHash.get(tx.hash).push(tx);
+            }
+        }
+        const fundingTracer = new FundingTracer(this, this.chain, this.fundingOptions);
+        task.progress(`🩹 Retrying missing data for ${incomplete.length} buyers`);
+        await this.enrichBuyers(incomplete, transfersByHash, fundingTracer, state, task);
+    }
+
+    async syncTransfers(state) {
+        const newTransactions = await this.getTokenTransactions(state.contractAddress, state.lastTransferBlock + 1);
+        state.transactions.push(...newTransactions);
+        if (newTransactions.length > 0) {
+            state.lastTransferBlock = parseInt(newTransactions[newTransactions.length - 1].blockNumber);
+        }
+    }
+
+    buildResult(state, limit, bundleOptions = null) {
+        const { tokenInfo, pools, lastScannedBlock } = state;
+        const poolAddresses = new Set(pools.map(pool => pool.address));
+        const swapHashes = new Set(state.swapHashes);
+        const buyers = state.buyers.slice(0, limit);
+
+        // Everything that moved the token outside a swap or a liquidity add: airdrops, team distributions, wallet-to-wallet
+        const transfers = state.transactions
+            .filter(tx => parseInt(tx.blockNumber) <= lastScannedBlock)
+            .filter(tx => tx.from !== ethers.ZeroAddress && !swapHashes.has(tx.hash))
+            .filter(tx => !poolAddresses.has(tx.from.toLowerCase()) && !poolAddresses.has(tx.to.toLowerCase()))
+            .map(tx => {
+                let amount = 0;
+                try {
+                    amount = parseFloat(ethers.formatUnits(tx.value, tokenInfo.decimals));
+                } catch (error) {
+                    console.warn(`⚠️ Amount error ${tx.hash}:`, error.message);
+                }
+                return {
+                    from: tx.from.toLowerCase(),
+                    to: tx.to.toLowerCase(),
+                    amount,
+                    supplyPercent: tokenInfo.totalSupply > 0 ? (amount / tokenInfo.totalSupply) * 100 : 0,
+                    txHash: tx.hash,
+                    blockNumber: parseInt(tx.blockNumber)
+                };
+            });
+
+        console.log(`🎯 ${buyers.length} real buyers found (${transfers.length} plain transfers, ${state.liquidityEvents.length} liquidity adds excluded)`);
+        const bundleDetector = bundleOptions ? new BundleDetector({ ...bundleOptions, ignoredFunders: this.neutralFunders }) : this.bundleDetector;
+        const bundles = bundleDetector.detect(buyers, { liquidityEvents: state.liquidityEvents });
+        const fundingGroups = new FundingTracer(this, this.chain, this.fundingOptions).groupBuyers(buyers);
+        console.log(`🤖 ${bundles.length} bundles detected, ${fundingGroups.length} funding groups`);
+
+        const bundledRanks = new Set(bundles.flatMap(bundle => bundle.ranks));
+        const holdings = state.holdings ? {
+            updatedAt: state.holdings.updatedAt,
+            price: state.holdings.price,
+            bundle: this.holdingsTracker.summarize(buyers.filter(buyer => bundledRanks.has(buyer.rank))),
+            snipers: this.holdingsTracker.summarize(buyers.filter(buyer => !bundledRanks.has(buyer.rank)))
+        } : null;
+
+        return {
+            tokenInfo,
+            buyers,
+            bundles,
+            fundingGroups,
+            holdings,
+            partial: this.summarizeMissing(buyers),
+            taxes: this.summarizeTaxes(state, buyers),
+            safety: state.safety || null,
+            deployer: state.deployer || null,
+            contractAddress: state.contractAddress,
+            pools,
+            transfers,
+            liquidityEvents: state.liquidityEvents,
+            updatedAt: state.updatedAt
+        };
+    }
+
+    // What a fee-on-transfer token kept from the buys and where it went; null when no buy was taxed
+    summarizeTaxes(state, buyers) {
+        const { tokenInfo } = state;
+        const taxed = buyers.filter(buyer => buyer.taxAmount > 0);
+        if (taxed.length === 0) return null;
+
+        const poolAddresses = new Set(state.pools.map(pool => pool.address));
+        const walletsByHash = new Map();
+        for (const buyer of buyers) {
+            if (!walletsByHash.has(buyer.txHash)) walletsByHash.set(buyer.txHash, new Set());
+            walletsByHash.get(buyer.txHash).add(buyer.wallet);
+        }
+        const taxedHashes = new Set(taxed.map(buyer => buyer.txHash));
+
+        // In a taxed buy, tokens that left the pool, a router or the buyer for anyone else are the tax
+        const recipients = new Map();
+        for (const tx of state.transactions) {
+            if (!taxedHashes.has(tx.hash)) continue;
+            const wallets = walletsByHash.get(tx.hash);
+            const from = tx.from.toLowerCase();
+            const to = tx.to.toLowerCase();
+            if (!poolAddresses.has(from) && !this.routers.has(from) && !wallets.has(from)) continue;
+            if (poolAddresses.has(to) || this.routers.has(to) || wallets.has(to)) continue;
+            recipients.set(to, (recipients.get(to) || 0) + parseFloat(ethers.formatUnits(tx.value, tokenInfo.decimals)));
+        }
+
+        const taken = taxed.reduce((sum, buyer) => sum + buyer.taxAmount, 0);
+        return {
+            buys: taxed.length,
+            taken,
+            supplyPercent: tokenInfo.totalSupply > 0 ? (taken / tokenInfo.totalSupply) * 100 : 0,
+            averageRate: taxed.reduce((sum, buyer) => sum + (buyer.taxAmount / (buyer.amount + buyer.taxAmount)) * 100, 0) / taxed.length,
+            recipients: [...recipients.entries()]
+                .map(([address, amount]) => ({ address, amount, isToken: address === state.contractAddress }))
+                .sort((a, b) => b.amount - a.amount)
+        };
+    }
+
+    // How many buyers lack each kind of data, or null when nothing is missing
+    summarizeMissing(buyers) {
+        const counts = {};
+        for (const buyer of buyers) {
+            const missing = [...(buyer.missing || []), ...((buyer.holding && buyer.holding.missing) || [])];
+            for (const field of new Set(missing)) {
+                counts[field] = (counts[field] || 0) + 1;
+            }
+        }
+        return Object.keys(counts).length > 0 ? counts : null;
+    }
+
+    formatResults(data, startRank = 1, endRank = 10, view = 'all') {
+        const { tokenInfo, buyers, contractAddress, pools = [], transfers = [], liquidityEvents = [] } = data;
+        
+        const explorer = this.chain.explorerUrl;
+
+        let message = `🪙 **${tokenInfo.name} (${tokenInfo.symbol})** on ${this.chain.name}\n\n`;
+
+        if (data.safety) {
+            message += `🛡️ **Safety:** ${this.getSafetyFlags(data.safety).join(' | ')} (\`/scan ${this.chain.key} ${contractAddress}\`)\n\n`;
+        }
+        
+        if (tokenInfo.totalSupply > 0) {
+            message += `📈 **Total Supply:** ${tokenInfo.totalSupply.toLocaleString('en-US', {maximumFractionDigits: 0})} ${tokenInfo.symbol}\n`;
+        }
+        
+        if (buyers.length > 0) {
+            if (buyers[0].timestamp) {
+                message += `📅 **Trading Started:** ${buyers[0].timestamp.toLocaleString('en-US')}\n`;
+            }
+            message += `🧱 **Block:** [${buyers[0].blockNumber}](${explorer}/txs?block=${buyers[0].blockNumber})\n`;
+        }
+        
+        message += `📝 [Contract](${explorer}/token/${contractAddress})\n`;
+        if (data.updatedAt) {
+            message += `💾 **Data as of:** ${data.updatedAt.toLocaleString('en-US')} (\`/refresh ${this.chain.key} ${contractAddress}\` to rebuild)\n`;
+        }
+        if (data.partial) {
+            const details = Object.entries(data.partial).map(([field, count]) => `${field} for ${count} buyer${count > 1 ? 's' : ''}`);
+            message += `⚠️ **Partial data:** ${details.join(', ')} unavailable (retried on the next update)\n`;
+        }
+        if (!this.chain.cexWallets) {
+            message += `❔ **Funding links:** not checked on ${this.chain.name} (no exchange wallet list to tell exchanges from shared funders)\n`;
+        }
+        if (data.taxes) {
+            const { taxes } = data;
+            const recipients = taxes.recipients.slice(0, 2)
+                .map(recipient => (recipient.isToken ? 'the token contract' : `[${recipient.address.slice(0, 6)}...${recipient.address.slice(-4)}](${explorer}/address/${recipient.address})`));
+            message += `🧾 **Buy Tax:** ~${taxes.averageRate.toFixed(1)}% on ${taxes.buys} of ${buyers.length} buys, ${taxes.taken.toLocaleString('en-US', {maximumFractionDigits: 0})} ${tokenInfo.symbol} (${taxes.supplyPercent.toFixed(2)}% supply) kept${recipients.length > 0 ? ` by ${recipients.join(', ')}` : ''}\n`;
+        }
+
+        pools.forEach((pool) => {
+            const feeLabel = pool.version === 'v3' ? ` ${pool.fee / 10000}%` : '';
+            message += `🏊 [${pool.dex}${feeLabel} ${tokenInfo.symbol}/${pool.quoteSymbol}](${explorer}/address/${pool.address})\n`;
+        });
+        message += `\n`;
+
+        const { bundleByRank, bundledBuyers, snipingBuyers, list, displayBuyers } = this.selectBuyers(data, startRank, endRank, view);
+        const bundles = data.bundles || [];
+        
+        // Show bundle detection info
+        if (bundles.length > 0) {
+            const native = this.chain.nativeSymbol;
+            const totalBundledSupply = bundledBuyers.reduce((sum, buyer) => sum + buyer.supplyPercent, 0);
+            
+            message += `⚠️ **${bundles.length} BUNDLE${bundles.length > 1 ? 'S' : ''} DETECTED:** ${bundledBuyers.length} wallets\n`;
+            message += `🎒 **Bundled Supply:** ${totalBundledSupply.toFixed(2)}% of total supply\n`;
+
+            bundles.slice(0, MAX_BUNDLES_SHOWN).forEach((bundle) => {
+                message += `\n🤖 **Bundle #${bundle.id}** | block ${bundle.blockNumber} pos ${bundle.firstPosition}-${bundle.lastPosition} | ${bundle.ranks.length} wallets | ${bundle.supplyPercent.toFixed(2)}%\n`;
+                message += `   🧠 ${bundle.confidence}% confidence: ${bundle.reasons.join(', ')}\n`;
+                if (bundle.totalCost > 0) {
+                    message += `   💸 ${formatNative(bundle.bribes)} ${native} bribes + ${formatNative(bundle.priorityCost)} ${native} priority fees (${formatNative(bundle.totalCost)} ${native} total incl. gas)\n`;
+                }
+            });
+            if (bundles.length > MAX_BUNDLES_SHOWN) {
+                message += `\n➕ ${bundles.length - MAX_BUNDLES_SHOWN} more bundles (use 🤖 Bundle only)\n`;
+            }
+
+            if (snipingBuyers.length > 0) {
+                const firstSniper = snipingBuyers[0];
+                message += `\n🎯 **First sniper at rank ${firstSniper.rank}**\n`;
+            }
+            message += `\n`;
+        }
+
+        // Wallets sharing a funder, deployer-funded groups first
+        const fundingGroups = data.fundingGroups || [];
+        if (fundingGroups.length > 0) {
+            message += `🏦 **Funding groups:**\n`;
+            fundingGroups.slice(0, MAX_FUNDING_GROUPS_SHOWN).forEach((group) => {
+                const funder = `[${group.funder.slice(0, 6)}...${group.funder.slice(-4)}](${explorer}/address/${group.funder})`;
+                const ranks = group.ranks.length > 8 ? `${group.ranks.slice(0, 8).join(', ')}...` : group.ranks.join(', ');
+                message += `   ${group.fromDeployer ? '🚨 **DEPLOYER**' : '👥'} ${funder}: ranks ${ranks} (${group.ranks.length} wallets, ${group.supplyPercent.toFixed(2)}% supply)\n`;
+            });
+            if (fundingGroups.length > MAX_FUNDING_GROUPS_SHOWN) {
+                message += `   ➕ ${fundingGroups.length - MAX_FUNDING_GROUPS_SHOWN} more groups\n`;
+            }
+            message += `\n`;
+        }
+
+        // Where the early buyers stand now
+        if (data.holdings) {
+            const native = this.chain.nativeSymbol;
+            const { price, bundle, snipers } = data.holdings;
+            message += `💼 **Positions now**${price ? ` (price ${price.price.toPrecision(3)} ${native})` : ''}:\n`;
+            [['🤖 Bundle', bundle], ['🎯 Snipers', snipers]].forEach(([label, summary]) => {
+                if (summary.wallets === 0) return;
+                message += `   ${label}: ${summary.holding} holding / ${summary.partial} partial / ${summary.exited} exited\n`;
+                message += `      holds ${summary.heldPercent.toFixed(2)}% of ${summary.boughtPercent.toFixed(2)}% bought | realized ${formatNative(summary.realized)} ${native} | unrealized ${formatNative(summary.unrealized)} ${native} | PnL ${formatSigned(summary.pnl)} ${native}\n`;
+            });
+            message += `\n`;
+        }
+
+        const viewLabel = { all: 'Buyers', bundle: 'Bundled buyers', snipers: 'Sniping buyers' }[view];
+        message += `📊 **${viewLabel} ${startRank}-${Math.min(endRank, list.length)} of ${list.length} total**\n\n`;
+
+        // Group display by bundled vs snipers within the requested range
+        const displayBundled = displayBuyers.filter(buyer => bundleByRank.has(buyer.rank));
+        const displaySnipers = displayBuyers.filter(buyer => !bundleByRank.has(buyer.rank));
+
+        // Show bundled buyers first
+        if (displayBundled.length > 0) {
+            message += `🤖 **Bundled Buyers:**\n`;
+            
+            displayBundled.forEach((buyer) => {
+                message += this.formatBuyer(buyer, tokenInfo, ` 🤖#${bundleByRank.get(buyer.rank).id}`);
+            });
+        }
+
+        // Show sniping buyers
+        if (displaySnipers.length > 0) {
+            if (displayBundled.length > 0) {
+                message += `📊 **Sniping Buyers** (not in any bundle):\n`;
+            }
+            
+            displaySnipers.forEach((buyer) => {
+                message += this.formatBuyer(buyer, tokenInfo, ' 🎯');
+            });
+        }
+
+        // Token movements that are not buys
+        if (liquidityEvents.length > 0 || transfers.length > 0) {
+            message += `📦 **Not counted as buys:**\n`;
+            liquidityEvents.slice(0, 3).forEach((event) => {
+                message += `   💧 LP add: ${event.tokenAmount.toLocaleString('en-US', {maximumFractionDigits: 0})} ${tokenInfo.symbol} + ${event.quoteAmount.toLocaleString('en-US', {maximumFractionDigits: 4})} ${event.quoteSymbol} ([TX](${explorer}/tx/${event.txHash}))\n`;
+            });
+            if (liquidityEvents.length > 3) {
+                message += `   💧 +${liquidityEvents.length - 3} more LP adds\n`;
+            }
+            if (transfers.length > 0) {
+                const transferredPercent = transfers.reduce((sum, transfer) => sum + transfer.supplyPercent, 0);
+                message += `   📨 ${transfers.length} plain transfers (airdrops, team, wallet-to-wallet): ${transferredPercent.toFixed(2)}% of supply\n`;
+            }
+            message += `\n`;
+        }
+
+        return message;
+    }
+
+    // Standalone scan: reuses the pools of a cached analysis when there is one
+    async scanToken(contractAddress) {
+        const state = this.cache ? await this.cache.get(this.chain.key, contractAddress) : null;
+        const tokenInfo = state ? state.tokenInfo : await this.getTokenInfo(contractAddress);
+        const pools = state ? state.pools : await this.findPools(contractAddress);
+        if (pools.length === 0) {
+            throw noTradesError(`No DEX pool found for this token on ${this.chain.name}`);
+        }
+
+        const safety = await this.safetyScanner.scan(contractAddress, pools);
+        return { contractAddress: contractAddress.toLowerCase(), tokenInfo, pools, ...safety };
+    }
+
+    // One-line verdicts, worst first: the report header and /scan both start from these
+    getSafetyFlags(safety) {
+        const flags = [];
+        const { simulation, owner, source, liquidity } = safety;
+
+        if (!simulation) {
+            flags.push('❔ no pool balance to simulate');
+        } else if (simulation.honeypot) {
+            const reason = simulation.sellError ? 'sell reverts'
+                : simulation.sellTax !== null ? `sell tax ${simulation.sellTax.toFixed(1)}%` : 'buys receive nothing';
+            flags.push(`🍯 **HONEYPOT** (${reason})`);
+        } else if (simulation.buyError) {
+            flags.push('🚫 buys revert');
+        } else if (simulation.sellTax !== null) {
+            const taxed = simulation.buyTax > 0 || simulation.sellTax > 0;
+            flags.push(`${taxed ? '🧾' : '✅'} tax ${simulation.buyTax.toFixed(1)}% buy / ${simulation.sellTax.toFixed(1)}% sell`);
+        } else {
+            flags.push('❔ taxes unknown');
+        }
+
+        if (source) {
+            if (!source.verified) flags.push('⚠️ unverified source');
+            if (source.proxy) flags.push('🔁 proxy');
+            if (source.blacklist.length > 0) flags.push('⛔ blacklist');
+            if (source.limits.length > 0) flags.push('📏 tx/wallet limits');
+            if (source.trading.length > 0) flags.push('🔒 trading switch');
+            if (source.fees.length > 0) flags.push('🧾 adjustable tax');
+        }
+
+        if (owner) {
+            flags.push(owner.renounced ? '✅ ownership renounced' : '👑 owner active');
+        }
+
+        const v2Locks = liquidity.filter(lock => lock.burnedPercent !== null);
+        if (v2Locks.length > 0) {
+            const secured = Math.max(...v2Locks.map(lock => lock.burnedPercent + (lock.lockedPercent || 0)));
+            if (secured < 95 && v2Locks.some(lock => lock.lockedPercent === null)) {
+                flags.push(`💧 LP ${secured.toFixed(0)}% burned, locks unknown`);
+            } else {
+                flags.push(secured >= 95 ? `🔥 LP ${secured.toFixed(0)}% burned/locked` : `💧 LP ${secured.toFixed(0)}% burned/locked`);
+            }
+        }
+
+        return flags;
+    }
+
+    formatSafety(scan) {
+        const explorer = this.chain.explorerUrl;
+        const { tokenInfo, simulation, owner, source, liquidity } = scan;
+        const tax = value => (value === null ? 'unknown' : `${value.toFixed(1)}%`);
+        // Revert reasons and contract names are free text (`TRANSFER_FAILED`): code spans keep Markdown from parsing them
+        const code = value => `\`${String(value).replace(/`/g, "'")}\``;
+
+        let message = `🛡️ **Safety scan: ${tokenInfo.name} (${tokenInfo.symbol})** on ${this.chain.name}\n`;
+        message += `📝 [Contract](${explorer}/token/${scan.contractAddress})\n\n`;
+        message += `${this.getSafetyFlags(scan).join(' | ')}\n\n`;
+
+        message += `💱 **Trade simulation**`;
+        if (!simulation) {
+            message += `: no pool holds the token yet\n`;
+        } else {
+            message += ` (${simulation.method} on [pool](${explorer}/address/${simulation.pool})):\n`;
+            if (simulation.buyError) {
+                message += `   🚫 Buy reverted: ${code(simulation.buyError)} (trading closed, blacklist or limits)\n`;
+            } else if (simulation.method === 'eth_call') {
+                message += `   ✅ Buy goes through; taxes and sell not measured (the RPC lacks eth_simulateV1)\n`;
+            } else {
+                message += `   Buy tax: ${tax(simulation.buyTax)}\n`;
+                message += simulation.sellError
+                    ? `   🍯 **Sell reverted:** ${code(simulation.sellError)}\n`
+                    : `   Sell tax: ${tax(simulation.sellTax)}${simulation.honeypot ? ' 🍯 **HONEYPOT**' : ''}\n`;
+            }
+        }
+
+        message += `👑 **Owner:** `;
+        if (!owner) {
+            message += `no owner() function\n`;
+        } else if (owner.renounced) {
+            message += `renounced ([${owner.address.slice(0, 6)}...${owner.address.slice(-4)}](${explorer}/address/${owner.address}))\n`;
+        } else {
+            message += `[${owner.address}](${explorer}/address/${owner.address})\n`;
+        }
+
+        message += `📜 **Source:** `;
+        if (!source) {
+            message += `unavailable (explorer error)\n`;
+        } else if (!source.verified) {
+            message += `⚠️ not verified${source.proxy ? ' (proxy)' : ''}\n`;
+        } else {
+            message += `verified${source.contractName ? ` ${code(source.contractName)}` : ''}${source.proxy ? ' 🔁 behind a proxy: the code can change' : ''}\n`;
+            [['⛔ Blacklist', source.blacklist], ['📏 Limits', source.limits], ['🔒 Trading switch', source.trading], ['🧾 Tax setters', source.fees]]
+                .filter(([, functions]) => functions.length > 0)
+                .forEach(([label, functions]) => {
+                    message += `   ${label}: \`${functions.join('`, `')}\`\n`;
+                });
+        }
+
+        if (liquidity.length > 0) {
+            message += `💧 **Liquidity:**\n`;
+            liquidity.forEach((lock) => {
+                message += `   [${lock.dex}](${explorer}/address/${lock.pool}): `;
+                if (lock.version !== 'v2') {
+                    message += `V3 positions are NFTs, lock not checked\n`;
+                } else if (lock.burnedPercent === null) {
+                    message += `unavailable\n`;
+                } else {
+                    const locked = lock.lockedPercent === null
+                        ? 'locks unknown (no locker list for this chain)'
+                        : `${lock.lockedPercent.toFixed(1)}% locked${lock.lockers.length > 0 ? ` (${lock.lockers.join(', ')})` : ''}`;
+                    message += `🔥 ${lock.burnedPercent.toFixed(1)}% burned | 🔐 ${locked}\n`;
+                }
+            });
+        }
+
+        return message;
+    }
+
+    // Current holders; the first-buyers analysis, when the token traded, marks pools and early buyers
+    async getHolders(contractAddress, { onProgress = null, signal = null } = {}) {
+        let results = null;
+        try {
+            results = await this.analyzeFirstBuyers(contractAddress, 100, { onProgress, signal });
+        } catch (error) {
+            if (error.code !== 'NO_TRADES') throw error;
+        }
+        if (signal) signal.throwIfAborted();
+        if (onProgress) onProgress('👥 Replaying every transfer');
+
+        const first = await this.getFirstTokenTransfer(contractAddress);
+        if (!first) {
+            throw new Error('Could not find the token\'s first transfer to replay from');
+        }
+
+        const tokenInfo = results ? results.tokenInfo : await this.getTokenInfo(contractAddress);
+        const state = await this.holderIndex.update(contractAddress, first.blockNumber);
+        const report = this.holderIndex.report(state, {
+            tokenInfo,
+            pools: results ? results.pools : [],
+            deployer: results ? results.deployer : await this.getDeployer(contractAddress),
+            buyers: results ? results.buyers : [],
+            bundles: results ? results.bundles : []
+        });
+
+        return { contractAddress: contractAddress.toLowerCase(), tokenInfo, ...report };
+    }
+
+    formatHolders(report) {
+        const explorer = this.chain.explorerUrl;
+        const { tokenInfo, concentration, top } = report;
+
+        let message = `👥 **Holders of ${tokenInfo.name} (${tokenInfo.symbol})** on ${this.chain.name}\n`;
+        message += `📝 [Contract](${explorer}/token/${report.contractAddress}) | balances as of block ${report.lastBlock}\n\n`;
+
+        message += `📊 **${report.holderCount.toLocaleString('en-US')} holders** | top 10 wallets hold **${concentration.top10Percent.toFixed(2)}%**`;
+        message += concentration.gini !== null ? ` | Gini ${concentration.gini.toFixed(2)}\n` : `\n`;
+        message += `🏊 Pools ${concentration.poolsPercent.toFixed(2)}% | 🔥 Burned ${concentration.burnedPercent.toFixed(2)}% | 🔐 Locked ${concentration.lockedPercent.toFixed(2)}%`;
+        message += concentration.contractPercent > 0 ? ` | 📄 Contract ${concentration.contractPercent.toFixed(2)}%\n\n` : `\n\n`;
+
+        const icons = { pool: '🏊', burn: '🔥', locker: '🔐', contract: '📄' };
+        message += `🏆 **Top ${top.length}:**\n`;
+        top.forEach((holder) => {
+            const tags = [];
+            if (holder.kind) tags.push(`${icons[holder.kind]} ${holder.label || holder.kind}`);
+            else if (holder.label) tags.push(`🏦 ${holder.label}`);
+            if (holder.deployer) tags.push('🚨 deployer');
+            if (holder.buyer) {
+                tags.push(holder.buyer.classification === 'bundle'
+                    ? `🤖 bundle #${holder.buyer.bundleId} buyer #${holder.buyer.rank}`
+                    : `🎯 sniper #${holder.buyer.rank}`);
+            }
+            message += `${holder.rank}. [${holder.address.slice(0, 6)}...${holder.address.slice(-4)}](${explorer}/address/${holder.address}) ${holder.percent.toFixed(2)}%${tags.length > 0 ? ` | ${tags.join(' | ')}` : ''}\n`;
+        });
+
+        const early = top.filter(holder => holder.buyer);
+        if (early.length > 0) {
+            const bundled = early.filter(holder => holder.buyer.classification === 'bundle');
+            const snipers = early.filter(holder => holder.buyer.classification === 'sniper');
+            const share = list => list.reduce((sum, holder) => sum + holder.percent, 0).toFixed(2);
+            message += `\n🎒 **Early buyers in the top ${top.length}:** ${bundled.length} bundled (${share(bundled)}%), ${snipers.length} snipers (${share(snipers)}%)\n`;
+        }
+
+        return message;
+    }
+
+    // Every transaction around the launch: the liquidity block and `blocks` blocks from the first trade
+    async getTimeline(contractAddress, blocks, { onProgress = null, signal = null } = {}) {
+        const results = await this.analyzeFirstBuyers(contractAddress, 100, { onProgress, signal });
+        if (signal) signal.throwIfAborted();
+
+        const [liquidity] = results.liquidityEvents;
+        return this.launchTimeline.build({
+            contractAddress: results.contractAddress,
+            tokenInfo: results.tokenInfo,
+            pools: results.pools,
+            liquidityBlock: liquidity ? liquidity.blockNumber : null,
+            tradingBlock: results.buyers[0].blockNumber
+        }, blocks, { onProgress, signal });
+    }
+
+    // One message per block or less, blocks packed together while they fit
+    formatTimeline(timeline) {
+        const explorer = this.chain.explorerUrl;
+        const native = this.chain.nativeSymbol;
+        const { tokenInfo, blocks } = timeline;
+        const token = tokenInfo.symbol;
+        const short = address => `[${address.slice(0, 6)}...${address.slice(-4)}](${explorer}/address/${address})`;
+        const tokens = value => `${value.toLocaleString('en-US', { maximumFractionDigits: 0 })} ${token}`;
+        const share = value => (tokenInfo.totalSupply > 0 ? ` (${((value / tokenInfo.totalSupply) * 100).toFixed(2)}%)` : '');
+
+        const describe = (action, tx) => {
+            switch (action.type) {
+                case 'liquidity':
+                    return `💧 **Add liquidity** ${tokens(action.tokenAmount)} + ${formatNative(action.quoteAmount)} ${action.quoteSymbol}`;
+                case 'trading':
+                    return `🚦 **Enable trading** \`${action.method}\``;
+                case 'buy':
+                    return `🟢 **Buy** ${tokens(action.tokenAmount)}${share(action.tokenAmount)} for ${formatNative(action.quoteAmount)} ${action.quoteSymbol}${action.recipient !== tx.from ? ` → ${short(action.recipient)}` : ''}`;
+                case 'sell':
+                    return `🔴 **Sell** ${tokens(action.tokenAmount)}${share(action.tokenAmount)} for ${formatNative(action.quoteAmount)} ${action.quoteSymbol}`;
+                case 'transfer':
+                    return `↔️ **Transfer** ${tokens(action.tokenAmount)} to ${short(action.to)}`;
+                case 'approve':
+                    return `✅ **Approve** ${short(action.spender)}`;
+                default:
+                    return `⚙️ \`${action.method}\``;
+            }
+        };
+
+        const describeTransaction = (tx) => {
+            let line = `[#${tx.position}](${explorer}/tx/${tx.hash}) `;
+            if (tx.kind === 'reverted') {
+                line += `❌ **Reverted**${tx.method ? ` \`${tx.method}\`` : ''}`;
+            } else if (tx.actions.length > 0) {
+                line += tx.actions.map(action => describe(action, tx)).join(' + ');
+            } else {
+                line += `▫️ ${tx.method ? `\`${tx.method}\`` : tx.status === null ? 'receipt unavailable' : 'no token movement'}`;
+            }
+            line += ` | 👛 ${short(tx.from)}`;
+            if (tx.gasPrice !== null) line += ` | ⛽ ${tx.gasPrice.toFixed(1)} Gwei (tip ${tx.priorityFee.toFixed(1)})`;
+            if (tx.bribe > 0) line += ` | 💸 ${formatNative(tx.bribe)} ${native}`;
+            if (tx.missing.length > 0) line += ` | ⚠️ no ${tx.missing.join(', ')}`;
+            return `${line}\n`;
+        };
+
+        const listed = blocks.reduce((sum, block) => sum + block.transactions.length, 0);
+        let header = `🎬 **Launch timeline of ${tokenInfo.name} (${token})** on ${this.chain.name}\n`;
+        if (timeline.liquidityBlock !== null) header += `💧 **Liquidity block:** ${timeline.liquidityBlock} | `;
+        header += `🚀 **First trade block:** ${timeline.tradingBlock}\n`;
+        header += `📋 ${listed} transactions touching the token or its pools in ${blocks.length} blocks, in block order\n`;
+
+        const sections = blocks.map((block, index) => {
+            let section = '';
+            const previous = blocks[index - 1];
+            if (previous && block.number > previous.number + 1) {
+                section += `⏭️ ${block.number - previous.number - 1} blocks skipped\n\n`;
+            }
+
+            const marks = [
+                ...(block.number === timeline.liquidityBlock ? ['💧 liquidity'] : []),
+                ...(block.number === timeline.tradingBlock ? ['🚀 first trade'] : [])
+            ];
+            section += `🧱 **Block [${block.number}](${explorer}/txs?block=${block.number})**${marks.length > 0 ? ` ${marks.join(', ')}` : ''}`;
+            if (block.missing) {
+                return `${section}\n⚠️ Block data unavailable\n`;
+            }
+            section += ` | ${block.timestamp.toLocaleString('en-US')}`;
+            if (block.baseFee !== null) section += ` | base fee ${block.baseFee.toFixed(1)} Gwei`;
+            section += ` | ${block.transactions.length}/${block.transactionCount} txs\n`;
+
+            block.transactions.slice(0, MAX_TIMELINE_TXS_PER_BLOCK).forEach((tx) => {
+                section += describeTransaction(tx);
+            });
+            if (block.transactions.length > MAX_TIMELINE_TXS_PER_BLOCK) {
+                section += `➕ ${block.transactions.length - MAX_TIMELINE_TXS_PER_BLOCK} more transactions\n`;
+            }
+            return section;
+        });
+
+        // Packed into as few messages as fit; a block too long for one message on its own is cut at a line
+        const messages = [header];
+        for (const section of sections) {
+            const lines = section.trimEnd().split('\n');
+            let chunk = '';
+            for (const line of lines) {
+                if (chunk.length + line.length + 1 > MAX_MESSAGE_LENGTH) {
+                    messages.push(chunk);
+                    chunk = '';
+                }
+                chunk += `${line}\n`;
+            }
+            const last = messages[messages.length - 1];
+            if (last.length + chunk.length + 1 <= MAX_MESSAGE_LENGTH) {
+                messages[messages.length - 1] = `${last}\n${chunk}`;
+            } else {
+                messages.push(chunk);
+            }
+        }
+        return messages.map(message => message.trimEnd());
+    }
+
+    async profileWallet(wallet, options = {}) {
+        return this.walletProfiler.profile(wallet, options);
+    }
+
+    formatWalletProfile(profile) {
+        const explorer = this.chain.explorerUrl;
+        const native = this.chain.nativeSymbol;
+        const { stats, launches } = profile;
+
+        let message = `👤 **Wallet profile** on ${this.chain.name}\n`;
+        message += `👛 [${profile.wallet}](${explorer}/address/${profile.wallet})\n\n`;
+
+        if (launches.length === 0) {
+            message += `🤷 No early buys found: none of the ${profile.tokensChecked} most recent tokens it received were bought within ${profile.launchBlocks} blocks of launch\n`;
+            return message;
+        }
+
+        message += `🎯 **Early buys:** ${stats.launches} of ${profile.tokensChecked} recent tokens (within ${profile.launchBlocks} blocks of launch)\n`;
+        message += `📍 **Typical position:** pos ${stats.medianPosition} (median), ${stats.averageBlocksAfterLaunch.toFixed(1)} blocks after launch on average\n`;
+        if (stats.averageGasPrice !== null) {
+            message += `⛽ **Gas:** ${stats.averageGasPrice.toFixed(1)} Gwei avg${stats.averagePriorityFee !== null ? `, tip ${stats.averagePriorityFee.toFixed(1)} Gwei` : ''}\n`;
+        }
+        message += `💸 **Bribes:** ${stats.bribed}/${stats.launches} buys${stats.averageBribe !== null ? `, ${formatNative(stats.averageBribe)} ${native} avg` : ''}\n`;
+        message += `🤖 **In a bundle:** ${stats.bundled}/${stats.launches} buys${stats.bundled * 2 > stats.launches ? ' (usually bundles)' : ''}\n`;
+        if (stats.averageHoldTime !== null) {
+            message += `⏱️ **Avg hold time:** ${formatDuration(stats.averageHoldTime)} until first sell`;
+            message += stats.stillHolding > 0 ? ` (${stats.stillHolding} still held)\n` : `\n`;
+        } else if (stats.stillHolding > 0) {
+            message += `⏱️ **Hold time:** never sold, ${stats.stillHolding} still held\n`;
+        }
+        message += `💰 **Spent:** ${formatNative(stats.spent)} ${native} | **Realized:** ${formatNative(stats.realized)} ${native}\n`;
+        message += `🧮 **Realized PnL:** ${formatSigned(stats.realizedPnl)} ${native} on ${stats.closedPositions} closed positions`;
+        if (stats.pnl !== null) message += ` | **Total PnL:** ${formatSigned(stats.pnl)} ${native}`;
+        message += `\n\n`;
+
+        message += `📜 **Launches:**\n`;
+        launches.forEach((launch) => {
+            const badge = launch.bundleId !== null ? ` 🤖#${launch.bundleId}` : '';
+            message += `• [${launch.symbol}](${explorer}/token/${launch.contractAddress}) #${launch.rank}${badge} | +${launch.blocksAfterLaunch} blocks pos ${launch.transactionIndex}`;
+            if (launch.bribe > 0) message += ` | bribe ${formatNative(launch.bribe)} ${native}`;
+            message += ` | ${HOLDING_STATUS[launch.status]}`;
+            if (launch.pnl !== null) message += ` ${formatSigned(launch.pnl)} ${native}`;
+            message += `\n`;
+        });
+
+        return message;
+    }
+
+    // comparison: LaunchStore.compare() result
+    formatComparison(comparison, sniperBlocks) {
+        const explorer = this.chain.explorerUrl;
+        const native = this.chain.nativeSymbol;
+        const { record, launches, metrics } = comparison;
+
+        let message = `📊 **${record.name} (${record.symbol})** vs ${launches} past launch${launches === 1 ? '' : 'es'} on ${this.chain.name}\n`;
+        message += `🧱 **Launch block:** [${record.launchBlock}](${explorer}/txs?block=${record.launchBlock})`;
+        message += record.launchedAt ? ` (${new Date(record.launchedAt).toLocaleString('en-US')})\n\n` : `\n\n`;
+
+        const rows = [
+            ['🤖 **Bundled wallets:**', 'bundledWallets', value => `${value}`],
+            ['🎒 **Bundled supply:**', 'bundledSupply', value => `${value.toFixed(2)}%`],
+            [`🎯 **Snipers in the first ${sniperBlocks} blocks:**`, 'snipers', value => `${value}`],
+            ['💸 **Bribes:**', 'bribes', value => `${formatNative(value)} ${native}`],
+            ['⏱️ **Time to first sell:**', 'timeToFirstSell', formatDuration]
+        ];
+        rows.forEach(([label, metric, format]) => {
+            const { value, percentile, median } = metrics[metric];
+            message += `${label} ${value === null ? 'no early buyer sold yet' : format(value)}`;
+            if (percentile !== null) message += ` | percentile ${Math.round(percentile)} (median ${format(median)})`;
+            message += `\n`;
+        });
+
+        if (launches === 0) {
+            message += `\n🤷 Nothing to compare with yet: every token analyzed on ${this.chain.name} joins the history\n`;
+        }
+        return message;
+    }
+
+    // board: LaunchStore.leaderboard() result, period: how the time window reads ("last 7 days")
+    formatLeaderboard(board, period) {
+        const explorer = this.chain.explorerUrl;
+        const native = this.chain.nativeSymbol;
+
+        let message = `🏆 **Leaderboard** on ${this.chain.name}, ${period}: ${board.total} launch${board.total === 1 ? '' : 'es'} analyzed\n\n`;
+        if (board.total === 0) {
+            message += `🤷 No analyzed launch in this window\n`;
+            return message;
+        }
+
+        message += `🎯 **Most sniped launches:**\n`;
+        board.launches.forEach((record, index) => {
+            message += `${index + 1}. [${record.symbol}](${explorer}/token/${record.contractAddress}) | ${record.snipers} snipers | ${record.bundledWallets} bundled (${record.bundledSupply.toFixed(2)}%)`;
+            if (record.bribes > 0) message += ` | ${formatNative(record.bribes)} ${native} bribes`;
+            message += `\n`;
+        });
+
+        message += `\n👛 **Most active snipers:**\n`;
+        if (board.wallets.length === 0) {
+            message += `No wallet sniped more than one of these launches\n`;
+        }
+        board.wallets.forEach((entry, index) => {
+            const profileUrl = this.walletProfileUrl(this.chain, entry.wallet);
+            const symbols = entry.symbols.length > 5 ? `${entry.symbols.slice(0, 5).join(', ')}...` : entry.symbols.join(', ');
+            message += `${index + 1}. [${entry.wallet.slice(0, 6)}...${entry.wallet.slice(-4)}](${explorer}/address/${entry.wallet}) | ${entry.launches} launches: ${symbols}`;
+            message += profileUrl ? ` | 👤 [Profile](${profileUrl})\n` : `\n`;
+        });
+
+        return message;
+    }
+
+    // Map each bundled buyer's rank to its cluster
+    getBundleByRank(data) {
+        const bundleByRank = new Map();
+        for (const bundle of data.bundles || []) {
+            bundle.ranks.forEach(rank => bundleByRank.set(rank, bundle));
+        }
+        return bundleByRank;
+    }
+
+    // Buyers shown for a range, in one of the views: all, bundle or snipers
+    selectBuyers(data, startRank = 1, endRank = 10, view = 'all') {
+        const bundleByRank = this.getBundleByRank(data);
+        const bundledBuyers = data.buyers.filter(buyer => bundleByRank.has(buyer.rank));
+        const snipingBuyers = data.buyers.filter(buyer => !bundleByRank.has(buyer.rank));
+        const list = { all: data.buyers, bundle: bundledBuyers, snipers: snipingBuyers }[view];
+        const displayBuyers = list.slice(startRank - 1, endRank);
+        return { bundleByRank, bundledBuyers, snipingBuyers, list, displayBuyers };
+    }
+
+    formatBuyerDetails(data, rank) {
+        const { tokenInfo } = data;
+        const buyer = data.buyers.find(candidate => candidate.rank === rank);
+        if (!buyer) return `❌ No buyer at rank ${rank}`;
+
+        const explorer = this.chain.explorerUrl;
+        const native = this.chain.nativeSymbol;
+        const bundle = this.getBundleByRank(data).get(buyer.rank);
+
+        let message = `🔎 **Buyer #${buyer.rank}** of ${tokenInfo.name} (${tokenInfo.symbol}) ${bundle ? `🤖 bundle #${bundle.id}` : '🎯 sniper'}\n\n`;
+        message += `👛 [${buyer.wallet}](${explorer}/address/${buyer.wallet})\n\n`;
+        message += `💰 **Bought:** ${buyer.amount.toLocaleString('en-US', {maximumFractionDigits: 0})} ${tokenInfo.symbol} (${buyer.supplyPercent.toFixed(4)}% supply)\n`;
+        if (buyer.taxAmount > 0) {
+            message += `🧾 **Tax:** ${buyer.taxAmount.toLocaleString('en-US', {maximumFractionDigits: 0})} ${tokenInfo.symbol} withheld on the way in\n`;
+        }
+        message += `💵 **Spent:** ${buyer.quoteSpent.toLocaleString('en-US', {maximumFractionDigits: 6})} ${buyer.nativeSpent !== null ? native : buyer.quoteSymbol}\n`;
+        message += `🏊 **Pool:** [${buyer.poolVersion.toUpperCase()}](${explorer}/address/${buyer.pool})\n`;
+        message += `📅 **Time:** ${buyer.timestamp ? buyer.timestamp.toLocaleString('en-US') : 'unavailable'}\n`;
+        message += `🧱 **Block:** [${buyer.blockNumber}](${explorer}/txs?block=${buyer.blockNumber}) | 📍 pos ${buyer.transactionIndex}\n\n`;
+
+        if (buyer.gasPrice !== null) {
+            const maxTip = buyer.maxPriorityFee !== null ? ` (max ${buyer.maxPriorityFee.toFixed(2)})` : '';
+            message += `⛽ **Gas price:** ${buyer.gasPrice.toFixed(2)} Gwei\n`;
+            message += `🏷️ **Priority fee:** ${buyer.priorityFee.toFixed(2)} Gwei paid${maxTip}\n`;
+            message += `🔥 **Gas used:** ${buyer.gasUsed.toLocaleString('en-US')} = ${formatNative(buyer.gasCost)} ${native}\n`;
+        } else {
+            message += `⛽ **Gas:** unavailable\n`;
+        }
+        message += `💸 **Bribe:** ${buyer.bribe !== null ? `${formatNative(buyer.bribe)} ${native}` : 'unavailable'}\n`;
+        if (buyer.totalCost !== null) {
+            message += `🧾 **Slot cost:** ${formatNative(buyer.totalCost)} ${native}\n`;
+        }
+        if (buyer.funding && buyer.funding.path.length > 0) {
+            const hops = buyer.funding.path.map(step => `[${step.address.slice(0, 6)}...${step.address.slice(-4)}](${explorer}/address/${step.address})`);
+            const stopLabel = { deployer: '🚨 deployer', cex: `🏛️ ${buyer.funding.label}`, mixer: `🌀 ${buyer.funding.label}`, error: '⚠️ trace incomplete' }[buyer.funding.stop];
+            message += `🏦 **Funding:** ${hops.join(' ← ')}${stopLabel ? ` (${stopLabel})` : ''}\n`;
+        } else if (buyer.funder) {
+            message += `🏦 **Funded by:** [${buyer.funder.slice(0, 6)}...${buyer.funder.slice(-4)}](${explorer}/address/${buyer.funder})\n`;
+        }
+        if (buyer.funding && buyer.funding.stop === 'error' && buyer.funding.path.length === 0) {
+            message += `🏦 **Funding:** unavailable\n`;
+        }
+        if (bundle) {
+            message += `🤖 **Bundle #${bundle.id}** (${bundle.confidence}%): ${bundle.reasons.join(', ')}\n`;
+        }
+        message += `\n`;
+
+        if (buyer.holding) {
+            const { holding } = buyer;
+            message += `💼 **Now:** ${HOLDING_STATUS[holding.status]}\n`;
+            if (holding.balance !== null) {
+                message += `🪙 **Balance:** ${holding.balance.toLocaleString('en-US', {maximumFractionDigits: 0})} ${tokenInfo.symbol} (${(holding.heldPercent || 0).toFixed(4)}% supply)\n`;
+            }
+            message += `📤 **Sold:** ${holding.sold.toLocaleString('en-US', {maximumFractionDigits: 0})} ${tokenInfo.symbol} in ${holding.sells} txs for ${formatNative(holding.realized)} ${native}\n`;
+            if (holding.unrealized !== null) {
+                message += `📊 **Unrealized:** ~${formatNative(holding.unrealized)} ${native}\n`;
+            }
+            if (holding.pnl !== null) {
+                message += `🧮 **PnL:** ${formatSigned(holding.pnl)} ${native} (after gas and bribes)\n`;
+            }
+            message += `\n`;
+        }
+
+        const profileUrl = this.walletProfileUrl(this.chain, buyer.wallet);
+        message += `🔗 [TX](${explorer}/tx/${buyer.txHash})${profileUrl ? ` | 👤 [Wallet profile](${profileUrl})` : ''}`;
+        return message;
+    }
+
+    formatBuyer(buyer, tokenInfo, badge = '') {
+        const explorer = this.chain.explorerUrl;
+        const native = this.chain.nativeSymbol;
+        const shortAddr = `${buyer.wallet.slice(0, 6)}...${buyer.wallet.slice(-4)}`;
+
+        let message = `**${buyer.rank}.** [${shortAddr}](${explorer}/address/${buyer.wallet})${badge}\n`;
+
+        message += `   💰 ${buyer.amount.toLocaleString('en-US', {maximumFractionDigits: 0})} ${tokenInfo.symbol}`;
+
+        if (buyer.supplyPercent > 0) {
+            if (buyer.supplyPercent >= 0.01) {
+                message += ` **(${buyer.supplyPercent.toFixed(2)}% supply)**`;
+            } else {
+                message += ` **(${buyer.supplyPercent.toFixed(4)}% supply)**`;
+            }
+        }
+        message += '\n';
+
+        if (buyer.quoteSpent > 0) {
+            message += `   💵 ${buyer.quoteSpent.toLocaleString('en-US', {maximumFractionDigits: 4})} ${buyer.nativeSpent !== null ? native : buyer.quoteSymbol} spent\n`;
+        }
+
+        message += `   📍 Block pos: ${buyer.transactionIndex}\n`;
+        if (buyer.gasPrice !== null) {
+            message += `   ⛽ ${buyer.gasPrice.toFixed(1)} Gwei (tip ${buyer.priorityFee.toFixed(1)}) = ${formatNative(buyer.gasCost)} ${native}\n`;
+        } else {
+            message += `   ⛽ Gas: unavailable\n`;
+        }
+
+        if (buyer.totalCost > 0) {
+            if (buyer.bribe > 0) {
+                message += `   💸 Bribe: ${formatNative(buyer.bribe)} ${native} | Slot cost: ${formatNative(buyer.totalCost)} ${native}\n`;
+            } else {
+                message += `   💸 Slot cost: ${formatNative(buyer.totalCost)} ${native} (no bribe)\n`;
+            }
+        } else if (buyer.bribe === null) {
+            message += `   💸 Bribe: unavailable\n`;
+        }
+
+        if (buyer.holding) {
+            const { holding } = buyer;
+            message += `   ${HOLDING_STATUS[holding.status]}`;
+            if (holding.heldPercent !== null) message += ` ${holding.heldPercent.toFixed(2)}%`;
+            if (holding.sold > 0) message += ` | sold for ${formatNative(holding.realized)} ${native}`;
+            if (holding.pnl !== null) message += ` | PnL ${formatSigned(holding.pnl)} ${native}`;
+            message += `\n`;
+        }
+
+        const profileUrl = this.walletProfileUrl(this.chain, buyer.wallet);
+        message += `   🔗 [TX](${explorer}/tx/${buyer.txHash})${profileUrl ? ` | 👤 [Profile](${profileUrl})` : ''}\n\n`;
+        return message;
+    }
+}
+
+module.exports = { SimpleTokenAnalyzer, noTradesError, V2_FACTORY_IFACE, V3_FACTORY_IFACE, V2_PAIR_IFACE, V3_POOL_IFACE };
@@ -0,0 +1,164 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { DEFAULT_CHAIN, getChain } = require('./chains');
+const { buildExport } = require('./export');
+const { DEFAULT_OPTIONS: BUNDLE_OPTIONS } = require('./bundles');
+
+const DEFAULT_OPTIONS = {
+    // Comma-separated list of accepted keys; the API answers 503 when none is configured
+    apiKeys: (process.env.API_KEYS || '').split(',').map(key => key.trim()).filter(Boolean),
+    rateLimit: parseInt(process.env.API_RATE_LIMIT) || 30,  // requests per key...
+    rateWindowMs: 60 * 1000,                                 // ...per window
+    maxBuyers: 100,
+    timeoutMs: parseInt(process.env.API_TIMEOUT_MS) || 120000  // a request gives up on its job after this (504)
+};
+
+class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// JSON API over the analyzers: /api/v1/tokens/... and /api/v1/wallets/...
+// handlers: getAnalyzer(chain), jobQueue (the bot's JobQueue: API work shares its concurrency)
+function createApiRouter(handlers, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const apiKeys = new Set(settings.apiKeys);
+    const windows = new Map(); // key -> { start, count }
+    const router = express.Router();
+
+    router.use((req, res, next) => {
+        if (apiKeys.size === 0) {
+            return next(new ApiError(503, 'API disabled: no API_KEYS configured'));
+        }
+
+        const header = req.get('Authorization') || '';
+        const key = req.get('X-API-Key') || (header.startsWith('Bearer ') ? header.slice(7) : null);
+        if (!key) return next(new ApiError(401, 'Missing API key (X-API-Key header)'));
+        if (!apiKeys.has(key)) return next(new ApiError(403, 'Invalid API key'));
+
+        // Fixed window per key
+        const now = Date.now();
+        let window = windows.get(key);
+        if (!window || now - window.start >= settings.rateWindowMs) {
+            window = { start: now, count: 0 };
+            windows.set(key, window);
+        }
+        window.count++;
+
+        const resetSeconds = Math.ceil((window.start + settings.rateWindowMs - now) / 1000);
+        res.set('X-RateLimit-Limit', String(settings.rateLimit));
+        res.set('X-RateLimit-Remaining', String(Math.max(0, settings.rateLimit - window.count)));
+        res.set('X-RateLimit-Reset', String(resetSeconds));
+        if (window.count > settings.rateLimit) {
+            res.set('Retry-After', String(resetSeconds));
+            return next(new ApiError(429, `Rate limit exceeded: ${settings.rateLimit} requests per ${settings.rateWindowMs / 1000}s`));
+        }
+
+        next();
+    });
+
+    const resolveChain = (name) => {
+        const chain = getChain(name || DEFAULT_CHAIN);
+        if (!chain) throw new ApiError(400, `Unknown chain "${name}"`);
+        return chain;
+    };
+
+    const checkAddress = (address) => {
+        if (!ethers.isAddress(address)) throw new ApiError(400, `Invalid address "${address}"`);
+        return address;
+    };
+
+    // Express 4 doesn't catch async errors on its own
+    const handle = fn => (req, res, next) => fn(req, res).catch(next);
+
+    // Work runs as a queued job, joined with the bot's identical requests. The request stops waiting on timeout
+    // or when the client goes away; the job is then cancelled unless someone else still waits for it
+    const runJob = async (res, key, run) => {
+        const { job, subscriberId, promise } = handlers.jobQueue.submit(key, run);
+        const giveUp = () => handlers.jobQueue.cancel(job.id, subscriberId);
+        const timer = setTimeout(giveUp, settings.timeoutMs);
+        const onClose = () => {
+            if (!res.writableFinished) giveUp();
+        };
+        res.on('close', onClose);
+
+        try {
+            return await promise;
+        } catch (error) {
+            if (error.code === 'CANCELLED') {
+                throw new ApiError(504, `Not done after ${settings.timeoutMs / 1000}s, try again later`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            res.off('close', onClose);
+        }
+    };
+
+    // Same key as the bot's analyses with default tolerances, so both share one job
+    const analyze = async (res, chain, address) => {
+        const key = `analysis:${chain.key}:${address.toLowerCase()}:${settings.maxBuyers}:${BUNDLE_OPTIONS.gasTolerance}:${BUNDLE_OPTIONS.priorityTolerance}`;
+        const results = await runJob(res, key, ({ progress, signal }) =>
+            handlers.getAnalyzer(chain).analyzeFirstBuyers(address, settings.maxBuyers, { onProgress: progress, signal })
+        );
+        return buildExport(results, chain);
+    };
+
+    router.get('/tokens/:chain/:address/buyers', handle(async (req, res) => {
+        const chain = resolveChain(req.params.chain);
+        const address = checkAddress(req.params.address);
+        const from = req.query.from !== undefined ? parseInt(req.query.from) : 1;
+        const to = req.query.to !== undefined ? parseInt(req.query.to) : settings.maxBuyers;
+        if (!(from >= 1) || !(to >= from) || to > settings.maxBuyers) {
+            throw new ApiError(400, `Invalid range: from and to must satisfy 1 <= from <= to <= ${settings.maxBuyers}`);
+        }
+
+        const { buyers, ...analysis } = await analyze(res, chain, address);
+        res.json({ ...analysis, range: { from, to, total: buyers.length }, buyers: buyers.slice(from - 1, to) });
+    }));
+
+    const sendBundles = handle(async (req, res) => {
+        const chain = resolveChain(req.params.chain || req.query.chain);
+        const address = checkAddress(req.params.address);
+
+        const analysis = await analyze(res, chain, address);
+        res.json({
+            version: analysis.version,
+            dataAsOf: analysis.dataAsOf,
+            chain: analysis.chain,
+            token: analysis.token,
+            deployer: analysis.deployer,
+            bundles: analysis.bundles,
+            fundingGroups: analysis.fundingGroups,
+            holdings: analysis.holdings
+        });
+    });
+    router.get('/tokens/:address/bundles', sendBundles);
+    router.get('/tokens/:chain/:address/bundles', sendBundles);
+
+    router.get('/wallets/:address', handle(async (req, res) => {
+        const chain = resolveChain(req.query.chain);
+        const address = checkAddress(req.params.address);
+
+        const profile = await runJob(res, `wallet:${chain.key}:${address.toLowerCase()}`, ({ progress, signal }) =>
+            handlers.getAnalyzer(chain).profileWallet(address, { onProgress: progress, signal })
+        );
+        res.json(profile);
+    }));
+
+    router.use((req, res, next) => next(new ApiError(404, `Unknown endpoint ${req.method} ${req.path}`)));
+
+    // Tokens that never traded are 404; anything unexpected means the explorer or RPC failed under us
+    router.use((error, req, res, next) => {
+        const status = error.code === 'NO_TRADES' ? 404 : error.status || 502;
+
+        if (status >= 500) console.error(`❌ API ${req.method} ${req.originalUrl}:`, error.message);
+        res.status(status).json({ error: { status, message: error.message, code: error.code || null } });
+    });
+
+    return router;
+}
+
+module.exports = { createApiRouter, ApiError, DEFAULT_OPTIONS };
@@ -0,0 +1,183 @@
+// Bundle detection: clusters of early buys that were very likely placed by the same actor
+const DEFAULT_OPTIONS = {
+    gasTolerance: 0.1,       // Gwei
+    priorityTolerance: 0.1,  // Gwei
+    minConfidence: 30,       // clusters scoring below this are ignored
+    ignoredFunders: []       // exchange and mixer wallets: funding from them links no one
+};
+
+// How much each signal adds to a cluster's confidence (capped at 100)
+const WEIGHTS = {
+    sameTransaction: 40,
+    consecutive: 30,
+    partlyConsecutive: 15,
+    sameGas: 15,
+    samePriorityFee: 10,
+    sharedFunder: 30,
+    sharedBribeRecipient: 15,
+    launchBlock: 10
+};
+
+function shortAddress(address) {
+    return `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+// Members sharing the same value for a key, largest group first
+function largestGroup(members, getKey) {
+    const groups = new Map();
+    for (const member of members) {
+        const key = getKey(member);
+        if (key === null || key === undefined) continue;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(member);
+    }
+    return [...groups.entries()].sort((a, b) => b[1].length - a[1].length)[0] || null;
+}
+
+class BundleDetector {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.ignoredFunders = new Set(this.options.ignoredFunders);
+    }
+
+    // Funder that ties the buyer to others, null when unknown or an exchange or mixer
+    getFunder(buyer) {
+        return buyer.funder && !this.ignoredFunders.has(buyer.funder) ? buyer.funder : null;
+    }
+
+    detect(buyers, { liquidityEvents = [] } = {}) {
+        const launchBlock = liquidityEvents.length > 0
+            ? Math.min(...liquidityEvents.map(event => event.blockNumber))
+            : (buyers.length > 0 ? buyers[0].blockNumber : null);
+
+        const byBlock = new Map();
+        for (const buyer of buyers) {
+            if (!byBlock.has(buyer.blockNumber)) byBlock.set(buyer.blockNumber, []);
+            byBlock.get(buyer.blockNumber).push(buyer);
+        }
+
+        const clusters = [];
+        for (const [blockNumber, blockBuyers] of [...byBlock.entries()].sort((a, b) => a[0] - b[0])) {
+            const sorted = [...blockBuyers].sort((a, b) => a.transactionIndex - b.transactionIndex);
+            for (const members of this.linkBuyers(sorted)) {
+                const cluster = this.scoreCluster(members, blockNumber, blockNumber === launchBlock);
+                if (cluster.confidence >= this.options.minConfidence) {
+                    clusters.push(cluster);
+                }
+            }
+        }
+
+        clusters.forEach((cluster, index) => {
+            cluster.id = index + 1;
+        });
+
+        return clusters;
+    }
+
+    // Union-find over the buys of one block: two buys are linked when any signal ties them together
+    linkBuyers(sorted) {
+        const parent = sorted.map((_, index) => index);
+        const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+        const union = (a, b) => {
+            parent[find(a)] = find(b);
+        };
+
+        for (let i = 0; i < sorted.length; i++) {
+            for (let j = i + 1; j < sorted.length; j++) {
+                if (this.areLinked(sorted[i], sorted[j], j === i + 1)) {
+                    union(i, j);
+                }
+            }
+        }
+
+        const groups = new Map();
+        sorted.forEach((buyer, index) => {
+            const root = find(index);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(buyer);
+        });
+
+        return [...groups.values()].filter(members => members.length > 1);
+    }
+
+    areLinked(a, b, neighbours) {
+        if (a.txHash === b.txHash) return true;
+        if (this.getFunder(a) && this.getFunder(a) === this.getFunder(b)) return true;
+        if (a.bribeRecipient && a.bribeRecipient === b.bribeRecipient && this.sameGas(a, b)) return true;
+        // Adjacent slots with the same gas settings: typical of a submitted bundle
+        return neighbours && b.transactionIndex - a.transactionIndex <= 1 && this.sameGas(a, b);
+    }
+
+    sameGas(a, b) {
+        return a.gasPrice > 0 && b.gasPrice > 0 &&
+            Math.abs(a.gasPrice - b.gasPrice) <= this.options.gasTolerance;
+    }
+
+    scoreCluster(members, blockNumber, isLaunchBlock) {
+        const reasons = [];
+        let confidence = 0;
+
+        const sameTx = largestGroup(members, buyer => buyer.txHash);
+        if (sameTx && sameTx[1].length > 1) {
+            confidence += WEIGHTS.sameTransaction;
+            reasons.push(`${sameTx[1].length} wallets in one transaction`);
+        }
+
+        const positions = members.map(buyer => buyer.transactionIndex);
+        const gaps = positions.slice(1).map((position, index) => position - positions[index]);
+        if (gaps.every(gap => gap <= 1)) {
+            confidence += WEIGHTS.consecutive;
+            reasons.push(`consecutive positions ${positions[0]}-${positions[positions.length - 1]}`);
+        } else if (gaps.some(gap => gap <= 1)) {
+            confidence += WEIGHTS.partlyConsecutive;
+            reasons.push(`partly consecutive positions ${positions[0]}-${positions[positions.length - 1]}`);
+        }
+
+        const gasPrices = members.map(buyer => buyer.gasPrice).filter(gasPrice => gasPrice > 0);
+        if (gasPrices.length === members.length && Math.max(...gasPrices) - Math.min(...gasPrices) <= this.options.gasTolerance) {
+            confidence += WEIGHTS.sameGas;
+            reasons.push(`same gas ${gasPrices[0].toFixed(1)} Gwei`);
+
+            const priorityFees = members.map(buyer => buyer.priorityFee);
+            if (Math.max(...priorityFees) - Math.min(...priorityFees) <= this.options.priorityTolerance) {
+                confidence += WEIGHTS.samePriorityFee;
+                reasons.push(`same tip ${priorityFees[0].toFixed(1)} Gwei`);
+            }
+        }
+
+        const funder = largestGroup(members, buyer => this.getFunder(buyer));
+        if (funder && funder[1].length > 1) {
+            confidence += WEIGHTS.sharedFunder;
+            reasons.push(`${funder[1].length} funded by ${shortAddress(funder[0])}`);
+        }
+
+        const bribeRecipient = largestGroup(members, buyer => buyer.bribeRecipient);
+        if (bribeRecipient && bribeRecipient[1].length > 1) {
+            confidence += WEIGHTS.sharedBribeRecipient;
+            reasons.push(`${bribeRecipient[1].length} bribed ${shortAddress(bribeRecipient[0])}`);
+        }
+
+        if (isLaunchBlock) {
+            confidence += WEIGHTS.launchBlock;
+            reasons.push('launch block');
+        }
+
+        return {
+            id: null,
+            blockNumber,
+            ranks: members.map(buyer => buyer.rank).sort((a, b) => a - b),
+            wallets: members.map(buyer => buyer.wallet),
+            firstPosition: positions[0],
+            lastPosition: positions[positions.length - 1],
+            confidence: Math.min(100, confidence),
+            reasons,
+            funder: funder && funder[1].length > 1 ? funder[0] : null,
+            supplyPercent: members.reduce((sum, buyer) => sum + buyer.supplyPercent, 0),
+            bribes: members.reduce((sum, buyer) => sum + (buyer.bribe || 0), 0),
+            priorityCost: members.reduce((sum, buyer) => sum + (buyer.priorityCost || 0), 0),
+            totalCost: members.reduce((sum, buyer) => sum + (buyer.totalCost || 0), 0)
+        };
+    }
+}
+
+module.exports = { BundleDetector, DEFAULT_OPTIONS };
@@ -0,0 +1,50 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Dates come back from JSON as strings
+const DATE_FIELDS = new Set(['timestamp', 'updatedAt', 'firstSellAt']);
+
+function reviveDates(key, value) {
+    return DATE_FIELDS.has(key) && typeof value === 'string' ? new Date(value) : value;
+}
+
+// On-disk analysis store: one JSON file per chain + contract
+class AnalysisCache {
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    getFile(chainKey, contractAddress) {
+        return path.join(this.directory, `${chainKey}-${contractAddress.toLowerCase()}.json`);
+    }
+
+    async get(chainKey, contractAddress) {
+        try {
+            const content = await fs.readFile(this.getFile(chainKey, contractAddress), 'utf8');
+            return JSON.parse(content, reviveDates);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`⚠️ Cache read failed for ${chainKey} ${contractAddress}:`, error.message);
+            }
+            return null;
+        }
+    }
+
+    async set(chainKey, contractAddress, record) {
+        record.updatedAt = new Date();
+
+        const file = this.getFile(chainKey, contractAddress);
+        const tempFile = `${file}.tmp`;
+        try {
+            await fs.mkdir(this.directory, { recursive: true });
+            // Write then rename so a crash never leaves a half-written cache file
+            await fs.writeFile(tempFile, JSON.stringify(record));
+            await fs.rename(tempFile, file);
+            console.log(`💾 Cached ${chainKey} ${contractAddress}`);
+        } catch (error) {
+            console.warn(`⚠️ Cache write failed for ${chainKey} ${contractAddress}:`, error.message);
+        }
+    }
+}
+
+module.exports = { AnalysisCache };
@@ -0,0 +1,168 @@
+// Chain registry: everything the analyzer needs to run against a given EVM chain
+const CHAINS = {
+    ethereum: {
+        key: 'ethereum',
+        name: 'Ethereum',
+        aliases: ['eth', 'mainnet'],
+        chainId: 1,
+        rpcUrl: process.env.ETHEREUM_RPC_URL,
+        fallbackRpcUrl: 'https://rpc.ankr.com/eth',
+        explorerApiUrl: 'https://api.etherscan.io/api',
+        explorerApiKey: process.env.ETHERSCAN_API_KEY,
+        explorerUrl: 'https://etherscan.io',
+        nativeSymbol: 'ETH',
+        wrappedNative: '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2',
+        wrappedNativeSymbol: 'WETH',
+        dexes: [
+            { name: 'Uniswap V2', version: 'v2', factory: '0x5c69bee701ef814a2b6a3edd4b1652cb9cc5aa6f' },
+            { name: 'Uniswap V3', version: 'v3', factory: '0x1f98431c8ad98523631ae4a59f267346ea31f984', fees: [100, 500, 3000, 10000] }
+        ],
+        routers: [
+            '0x7a250d5630b4cf539739df2c5dacb4c659f2488d', // Uniswap V2 Router
+            '0xe592427a0aece92de3edee1f18e0157c05861564', // Uniswap V3 SwapRouter
+            '0x68b3465833fb72a70ecdf485e0e4c7bd8665fc45', // Uniswap SwapRouter02
+            '0xef1c6e67703c7bd7107eed8303fbe6ec2554bf6b', // Uniswap Universal Router (old)
+            '0x3fc91a3afd70395cd496c647d5a6cc9d4b2b7fad'  // Uniswap Universal Router
+        ],
+        // Funding tracing stops at these: they fund everyone
+        cexWallets: {
+            '0x28c6c06298d514db089934071355e5743bf21d60': 'Binance 14',
+            '0x21a31ee1afc51d94c2efccaa2092ad1028285549': 'Binance 15',
+            '0xdfd5293d8e347dfe59e90efd55b2956a1343963d': 'Binance 16',
+            '0x71660c4005ba85c37ccec55d0c4493e66fe775d3': 'Coinbase',
+            '0xa9d1e08c7793af67e9d92fe308d5697fb81d3e43': 'Coinbase 10',
+            '0x6cc5f688a315f3dc28a7781717a9a798a59fda7b': 'OKX',
+            '0xda9dfa130df4de4673b89022ee50ff26f6ea73cf': 'Kraken 13',
+            '0xf89d7b9c864f589bbf53a82105107622b35eaa40': 'Bybit',
+            '0xd6216fc19db775df9774a6e33526131da7d19a2c': 'KuCoin',
+            '0x0d0707963952f2fba59dd06f2b425ace40b492fe': 'Gate.io',
+            '0x75e89d5979e4f6fba9f97c104c2f0afb3f1dcb88': 'MEXC'
+        },
+        mixers: {
+            '0x12d66f87a04a9e220743712ce6d9bb1b5616b8fc': 'Tornado Cash 0.1 ETH',
+            '0x47ce0c6ed5b0ce3d3a51fdb1c52dc66a7c3c2936': 'Tornado Cash 1 ETH',
+            '0x910cbd523d972eb0a6f4cae4618ad62622b39dbf': 'Tornado Cash 10 ETH',
+            '0xa160cdab225685da1d56aa342ad8841c3b53f291': 'Tornado Cash 100 ETH',
+            '0xd90e2f925da726b50c4ed8d0fb90ad053324f31b': 'Tornado Cash Router'
+        },
+        // LP tokens held here are locked, not in the deployer's hands
+        lockers: {
+            '0x663a5c229c09b049e36dcc11a9b0d4a8eb9db214': 'UNCX',
+            '0xe2fe530c047f2d85298b07d9333c05737f1435fb': 'Team Finance',
+            '0x71b5759d73262fbb223956913ecf4ecc51057641': 'PinkLock'
+        }
+    },
+    // Base, Arbitrum and Polygon have no exchange, mixer or locker lists yet: shared funders and LP locks are reported as unknown
+    base: {
+        key: 'base',
+        name: 'Base',
+        aliases: [],
+        chainId: 8453,
+        rpcUrl: process.env.BASE_RPC_URL,
+        fallbackRpcUrl: 'https://mainnet.base.org',
+        explorerApiUrl: 'https://api.basescan.org/api',
+        explorerApiKey: process.env.BASESCAN_API_KEY || process.env.ETHERSCAN_API_KEY,
+        explorerUrl: 'https://basescan.org',
+        nativeSymbol: 'ETH',
+        wrappedNative: '0x4200000000000000000000000000000000000006',
+        wrappedNativeSymbol: 'WETH',
+        dexes: [
+            { name: 'Uniswap V2', version: 'v2', factory: '0x8909dc15e40173ff4699343b6eb8132c65e18ec6' },
+            { name: 'Uniswap V3', version: 'v3', factory: '0x33128a8fc17869897dce68ed026d694621f6fdfd', fees: [100, 500, 3000, 10000] }
+        ],
+        routers: [
+            '0x4752ba5dbc23f44d87826276bf6fd6b1c372ad24', // Uniswap V2 Router
+            '0x2626664c2603336e57b271c5c0b26f421741e481', // Uniswap SwapRouter02
+            '0x3fc91a3afd70395cd496c647d5a6cc9d4b2b7fad'  // Uniswap Universal Router
+        ]
+    },
+    arbitrum: {
+        key: 'arbitrum',
+        name: 'Arbitrum',
+        aliases: ['arb'],
+        chainId: 42161,
+        rpcUrl: process.env.ARBITRUM_RPC_URL,
+        fallbackRpcUrl: 'https://arb1.arbitrum.io/rpc',
+        explorerApiUrl: 'https://api.arbiscan.io/api',
+        explorerApiKey: process.env.ARBISCAN_API_KEY || process.env.ETHERSCAN_API_KEY,
+        explorerUrl: 'https://arbiscan.io',
+        nativeSymbol: 'ETH',
+        wrappedNative: '0x82af49447d8a07e3bd95bd0d56f35241523fbab1',
+        wrappedNativeSymbol: 'WETH',
+        dexes: [
+            { name: 'Uniswap V2', version: 'v2', factory: '0xf1d7cc64fb4452f05c498126312ebe29f30fbcf9' },
+            { name: 'Uniswap V3', version: 'v3', factory: '0x1f98431c8ad98523631ae4a59f267346ea31f984', fees: [100, 500, 3000, 10000] },
+            { name: 'SushiSwap', version: 'v2', factory: '0xc35dadb65012ec5796536bd9864ed8773abc74c4' }
+        ],
+        routers: [
+            '0x4752ba5dbc23f44d87826276bf6fd6b1c372ad24', // Uniswap V2 Router
+            '0x68b3465833fb72a70ecdf485e0e4c7bd8665fc45', // Uniswap SwapRouter02
+            '0x5e325eda8064b456f4781070c0738d849c824258', // Uniswap Universal Router
+            '0x1b02da8cb0d097eb8d57a175b88c7d8b47997506'  // SushiSwap Router
+        ]
+    },
+    bsc: {
+        key: 'bsc',
+        name: 'BNB Chain',
+        aliases: ['bnb'],
+        chainId: 56,
+        rpcUrl: process.env.BSC_RPC_URL,
+        fallbackRpcUrl: 'https://bsc-dataseed.binance.org',
+        explorerApiUrl: 'https://api.bscscan.com/api',
+        explorerApiKey: process.env.BSCSCAN_API_KEY || process.env.ETHERSCAN_API_KEY,
+        explorerUrl: 'https://bscscan.com',
+        nativeSymbol: 'BNB',
+        wrappedNative: '0xbb4cdb9cbd36b01bd1cbaebf2de08d9173bc095c',
+        wrappedNativeSymbol: 'WBNB',
+        dexes: [
+            { name: 'PancakeSwap V2', version: 'v2', factory: '0xca143ce32fe78f1f7019d7d551a6402fc5350c73' },
+            { name: 'PancakeSwap V3', version: 'v3', factory: '0x0bfbcf9fa4f9c56b0f40a671ad40e0805a091865', fees: [100, 500, 2500, 10000] }
+        ],
+        routers: [
+            '0x10ed43c718714eb63d5aa57b78b54704e256024e', // PancakeSwap V2 Router
+            '0x1b81d678ffb9c0263b24a97847620c99d213eb14', // PancakeSwap V3 SwapRouter
+            '0x13f4ea83d0bd40e75c8222255bc855a974568dd4'  // PancakeSwap Smart Router
+        ],
+        cexWallets: {
+            '0x8894e0a0c962cb723c1976a4421c95949be2d4e3': 'Binance Hot Wallet 6'
+        },
+        mixers: {},
+        lockers: {
+            '0xc765bddb93b0d1c1a88282ba0fa6b2d00e3e0c83': 'UNCX',
+            '0x407993575c91ce7643a4d4ccacc9a98c36ee1bbe': 'PinkLock'
+        }
+    },
+    polygon: {
+        key: 'polygon',
+        name: 'Polygon',
+        aliases: ['matic', 'pol'],
+        chainId: 137,
+        rpcUrl: process.env.POLYGON_RPC_URL,
+        fallbackRpcUrl: 'https://polygon-rpc.com',
+        explorerApiUrl: 'https://api.polygonscan.com/api',
+        explorerApiKey: process.env.POLYGONSCAN_API_KEY || process.env.ETHERSCAN_API_KEY,
+        explorerUrl: 'https://polygonscan.com',
+        nativeSymbol: 'POL',
+        wrappedNative: '0x0d500b1d8e8ef31e21c99d1db9a6444d3adf1270',
+        wrappedNativeSymbol: 'WPOL',
+        dexes: [
+            { name: 'QuickSwap', version: 'v2', factory: '0x5757371414417b8c6caad45baef941abc7d3ab32' },
+            { name: 'Uniswap V3', version: 'v3', factory: '0x1f98431c8ad98523631ae4a59f267346ea31f984', fees: [100, 500, 3000, 10000] }
+        ],
+        routers: [
+            '0xa5e0829caced8ffdd4de3c43696c57f7d7a678ff', // QuickSwap Router
+            '0x68b3465833fb72a70ecdf485e0e4c7bd8665fc45', // Uniswap SwapRouter02
+            '0xec7be89e9d109e7e3fec59c222cf297125fefda2'  // Uniswap Universal Router
+        ]
+    }
+};
+
+const DEFAULT_CHAIN = 'ethereum';
+
+// Resolve a chain by key or alias ("eth", "arb", "bnb"...), null if unknown
+function getChain(name) {
+    const wanted = (name || DEFAULT_CHAIN).toLowerCase();
+    return Object.values(CHAINS).find(chain => chain.key === wanted || chain.aliases.includes(wanted)) || null;
+}
+
+module.exports = { CHAINS, DEFAULT_CHAIN, getChain };
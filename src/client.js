@@ -0,0 +1,186 @@
+const axios = require('axios');
+const { ethers } = require('ethers');
+
+// Shared data access per chain: JSON-RPC with batching and failover, explorer API with rate limiting; both retry
+const DEFAULT_OPTIONS = {
+    explorerRate: parseInt(process.env.EXPLORER_RATE_LIMIT) || 5,   // calls per second per API key
+    rpcBatchSize: parseInt(process.env.RPC_BATCH_SIZE) || 50,
+    retries: 4,
+    retryDelay: 500,                                                 // ms, doubled on each attempt
+    timeout: 15000
+};
+
+// JSON-RPC error codes nodes use for "slow down"
+const RPC_LIMIT_CODES = new Set([-32005, -32029, -32090, 429]);
+// Infura and others also use -32005 for "query returned more than 10000 results": a narrower range helps, a retry doesn't
+const TOO_MANY_RESULTS_PATTERN = /more than \d+ results|too many results|response size exceeded/i;
+const EXPLORER_LIMIT_PATTERN = /rate limit|max calls|too many|timeout|busy|try again/i;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isTooManyResults(rpcError) {
+    return Boolean(rpcError) && rpcError.code === -32005 && TOO_MANY_RESULTS_PATTERN.test(rpcError.message || '');
+}
+
+async function withRetry(label, fn, { retries, retryDelay }) {
+    let lastError;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            lastError = error;
+            if (error.retryable === false || attempt === retries) break;
+            // Exponential backoff with jitter so parallel callers don't retry in lockstep
+            const delay = retryDelay * 2 ** attempt * (0.75 + Math.random() / 2);
+            console.warn(`⚠️ ${label} failed (${error.message}), retry ${attempt + 1}/${retries} in ${Math.round(delay)}ms`);
+            await sleep(delay);
+        }
+    }
+    throw lastError;
+}
+
+// Token bucket: `rate` tokens per second, bursts up to `rate`
+class TokenBucket {
+    constructor(rate) {
+        this.rate = rate;
+        this.tokens = rate;
+        this.updatedAt = Date.now();
+        this.queue = Promise.resolve();
+    }
+
+    take() {
+        // Chained so callers are served in order
+        this.queue = this.queue.then(async () => {
+            for (;;) {
+                const now = Date.now();
+                this.tokens = Math.min(this.rate, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+                this.updatedAt = now;
+                if (this.tokens >= 1) {
+                    this.tokens -= 1;
+                    return;
+                }
+                await sleep(((1 - this.tokens) / this.rate) * 1000);
+            }
+        });
+        return this.queue;
+    }
+}
+
+// JSON-RPC provider over several URLs: a failing or throttling node sends the batch to the next one
+class FailoverRpcProvider extends ethers.JsonRpcProvider {
+    constructor(urls, network, options) {
+        super(urls[0], network, { batchMaxCount: options.rpcBatchSize });
+        this.urls = urls;
+        this.current = 0;
+        this.retryOptions = options;
+    }
+
+    async _send(payload) {
+        return withRetry(`RPC ${Array.isArray(payload) ? `batch of ${payload.length}` : payload.method}`, async () => {
+            const url = this.urls[this.current];
+            try {
+                const request = new ethers.FetchRequest(url);
+                request.body = JSON.stringify(payload);
+                request.setHeader('content-type', 'application/json');
+                request.timeout = this.retryOptions.timeout;
+                const response = await request.send();
+                response.assertOk();
+
+                const result = Array.isArray(response.bodyJson) ? response.bodyJson : [response.bodyJson];
+                // Nodes answer a rejected batch with a single error, and throttling with limit codes on every item
+                if (Array.isArray(payload) && result.length === 1 && result[0].id === undefined && result[0].error) {
+                    throw new Error(`batch rejected: ${result[0].error.message}`);
+                }
+                if (result.every(item => item.error && RPC_LIMIT_CODES.has(item.error.code) && !isTooManyResults(item.error))) {
+                    throw new Error(`rate limited: ${result[0].error.message}`);
+                }
+                return result;
+            } catch (error) {
+                if (this.urls.length > 1) {
+                    this.current = (this.current + 1) % this.urls.length;
+                    console.warn(`🔄 RPC ${new URL(url).host} failed, switching to ${new URL(this.urls[this.current]).host}`);
+                }
+                throw error;
+            }
+        }, this.retryOptions);
+    }
+
+    // A range the node refuses for holding too many logs is split in halves until each part fits
+    async getLogs(filter) {
+        try {
+            return await super.getLogs(filter);
+        } catch (error) {
+            if (!isTooManyResults(error.error) || filter.blockHash) throw error;
+            const fromBlock = Number(filter.fromBlock || 0);
+            const toBlock = filter.toBlock === undefined || filter.toBlock === 'latest' ? await this.getBlockNumber() : Number(filter.toBlock);
+            if (!(fromBlock < toBlock)) throw error;
+
+            const middle = Math.floor((fromBlock + toBlock) / 2);
+            console.warn(`✂️ Too many logs in blocks ${fromBlock}-${toBlock}, splitting at ${middle}`);
+            const first = await this.getLogs({ ...filter, fromBlock, toBlock: middle });
+            const second = await this.getLogs({ ...filter, fromBlock: middle + 1, toBlock });
+            return [...first, ...second];
+        }
+    }
+}
+
+// One bucket per explorer API key: every chain using the same key shares its limit
+const explorerBuckets = new Map();
+
+class DataClient {
+    constructor(chain, options = {}) {
+        this.chain = chain;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        // <CHAIN>_RPC_URL may hold several comma-separated URLs; the public fallback always comes last
+        const urls = [...(chain.rpcUrl || '').split(','), chain.fallbackRpcUrl]
+            .map(url => (url || '').trim())
+            .filter((url, index, all) => url && all.indexOf(url) === index);
+        this.provider = new FailoverRpcProvider(urls, { name: chain.key, chainId: chain.chainId }, this.options);
+        console.log(`🔗 ${chain.name} provider configured with ${urls.length} RPC URL(s)`);
+
+        const bucketKey = chain.explorerApiKey || chain.explorerApiUrl;
+        if (!explorerBuckets.has(bucketKey)) explorerBuckets.set(bucketKey, new TokenBucket(this.options.explorerRate));
+        this.explorerBucket = explorerBuckets.get(bucketKey);
+    }
+
+    // Explorer API call: rate limited, retried on network errors and throttling; returns the response body
+    async explorer(params, { timeout = this.options.timeout } = {}) {
+        return withRetry(`${params.module}/${params.action}`, async () => {
+            await this.explorerBucket.take();
+
+            let response;
+            try {
+                response = await axios.get(this.chain.explorerApiUrl, {
+                    params: { ...params, apikey: this.chain.explorerApiKey },
+                    timeout
+                });
+            } catch (error) {
+                // Client errors other than 429 won't get better by retrying
+                const status = error.response && error.response.status;
+                if (status && status < 500 && status !== 429) error.retryable = false;
+                throw error;
+            }
+
+            const { data } = response;
+            const detail = typeof data.result === 'string' ? data.result : data.message;
+            if (data.status === '0' && EXPLORER_LIMIT_PATTERN.test(detail || '')) {
+                throw new Error(detail);
+            }
+            return data;
+        }, this.options);
+    }
+}
+
+const clients = new Map();
+
+function getClient(chain) {
+    if (!clients.has(chain.key)) {
+        clients.set(chain.key, new DataClient(chain));
+    }
+    return clients.get(chain.key);
+}
+
+module.exports = { DataClient, FailoverRpcProvider, TokenBucket, getClient, withRetry, DEFAULT_OPTIONS };
@@ -0,0 +1,134 @@
+// Analysis export as versioned JSON or flat CSV (shape documented in README.md)
+// 2: amount net of transfer taxes, supplyPercent against the supply at the buy block
+const EXPORT_VERSION = 2;
+
+// CSV columns, in order: one row per buyer
+const CSV_COLUMNS = [
+    'rank', 'wallet', 'classification', 'bundleId', 'bundleConfidence',
+    'amount', 'supplyPercent', 'supplyAtBuy', 'taxAmount', 'quoteSpent', 'quoteSymbol', 'nativeSpent',
+    'pool', 'poolVersion', 'txHash', 'blockNumber', 'timestamp', 'transactionIndex',
+    'gasPrice', 'priorityFee', 'maxPriorityFee', 'gasUsed', 'gasCost', 'priorityCost',
+    'bribe', 'bribeRecipient', 'totalCost',
+    'funder', 'fundingStop', 'fundingPath',
+    'holdingStatus', 'balance', 'heldPercent', 'sold', 'sells', 'realized', 'unrealized', 'pnl', 'firstSellAt',
+    'missing'
+];
+
+function toIso(date) {
+    return date ? new Date(date).toISOString() : null;
+}
+
+function buildExport(results, chain) {
+    const bundleByRank = new Map();
+    for (const bundle of results.bundles) {
+        bundle.ranks.forEach(rank => bundleByRank.set(rank, bundle));
+    }
+
+    const buyers = results.buyers.map((buyer) => {
+        const bundle = bundleByRank.get(buyer.rank) || null;
+        const holding = buyer.holding || null;
+        return {
+            rank: buyer.rank,
+            wallet: buyer.wallet,
+            classification: bundle ? 'bundle' : 'sniper',
+            bundleId: bundle ? bundle.id : null,
+            bundleConfidence: bundle ? bundle.confidence : null,
+            amount: buyer.amount,
+            supplyPercent: buyer.supplyPercent,
+            supplyAtBuy: buyer.supplyAtBuy,
+            taxAmount: buyer.taxAmount,
+            quoteSpent: buyer.quoteSpent,
+            quoteSymbol: buyer.quoteSymbol,
+            nativeSpent: buyer.nativeSpent,
+            pool: buyer.pool,
+            poolVersion: buyer.poolVersion,
+            txHash: buyer.txHash,
+            blockNumber: buyer.blockNumber,
+            timestamp: toIso(buyer.timestamp),
+            transactionIndex: buyer.transactionIndex,
+            gasPrice: buyer.gasPrice,
+            priorityFee: buyer.priorityFee,
+            maxPriorityFee: buyer.maxPriorityFee,
+            gasUsed: buyer.gasUsed,
+            gasCost: buyer.gasCost,
+            priorityCost: buyer.priorityCost,
+            bribe: buyer.bribe,
+            bribeRecipient: buyer.bribeRecipient,
+            totalCost: buyer.totalCost,
+            funder: buyer.funder || null,
+            funding: buyer.funding || null,
+            holding: holding ? { ...holding, firstSellAt: toIso(holding.firstSellAt) } : null,
+            missing: buyer.missing || []
+        };
+    });
+
+    return {
+        version: EXPORT_VERSION,
+        generatedAt: new Date().toISOString(),
+        dataAsOf: toIso(results.updatedAt),
+        chain: { key: chain.key, name: chain.name, chainId: chain.chainId, nativeSymbol: chain.nativeSymbol },
+        token: { address: results.contractAddress, ...results.tokenInfo },
+        deployer: results.deployer,
+        pools: results.pools.map(pool => ({
+            address: pool.address,
+            dex: pool.dex,
+            version: pool.version,
+            quoteToken: pool.quoteToken,
+            quoteSymbol: pool.quoteSymbol,
+            fee: pool.fee,
+            createdBlock: pool.createdBlock
+        })),
+        bundles: results.bundles,
+        fundingGroups: results.fundingGroups,
+        holdings: results.holdings ? { ...results.holdings, updatedAt: toIso(results.holdings.updatedAt) } : null,
+        partial: results.partial || null,
+        taxes: results.taxes || null,
+        safety: results.safety ? { ...results.safety, updatedAt: toIso(results.safety.updatedAt) } : null,
+        liquidityEvents: results.liquidityEvents.map(event => ({
+            txHash: event.txHash,
+            blockNumber: event.blockNumber,
+            sender: event.sender,
+            tokenAmount: event.tokenAmount,
+            quoteAmount: event.quoteAmount,
+            quoteSymbol: event.quoteSymbol
+        })),
+        transfers: results.transfers,
+        buyers
+    };
+}
+
+function toJson(results, chain) {
+    return JSON.stringify(buildExport(results, chain), null, 2);
+}
+
+function csvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(results, chain) {
+    const rows = buildExport(results, chain).buyers.map((buyer) => {
+        const holding = buyer.holding || {};
+        const flat = {
+            ...buyer,
+            fundingStop: buyer.funding ? buyer.funding.stop : null,
+            fundingPath: buyer.funding ? buyer.funding.path.map(step => step.address).join(' ') : null,
+            holdingStatus: holding.status,
+            balance: holding.balance,
+            heldPercent: holding.heldPercent,
+            sold: holding.sold,
+            sells: holding.sells,
+            realized: holding.realized,
+            unrealized: holding.unrealized,
+            pnl: holding.pnl,
+            firstSellAt: holding.firstSellAt,
+            missing: [...buyer.missing, ...(holding.missing || [])].join(' ')
+        };
+        return CSV_COLUMNS.map(column => csvValue(flat[column])).join(',');
+    });
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+module.exports = { EXPORT_VERSION, CSV_COLUMNS, buildExport, toJson, toCsv };
@@ -0,0 +1,310 @@
+const fs = require('fs/promises');
+const { ethers } = require('ethers');
+const { getChain } = require('./chains');
+
+// Offline data source: recorded explorer and JSON-RPC data served in place of a DataClient (tests, bug reports).
+// A fixture is a slice of chain data rather than a list of request/response pairs, so the replay answers
+// queries the way an explorer or node would (block ranges, topic filters, pagination):
+// {
+//   version: 1, chain: 'ethereum', latestBlock,
+//   rpc: { blocks (with transaction hashes), transactions, receipts, logs, calls: [{ to, data, blockTag?, result | error }] },
+//   explorer: { tokentx, txlist, txlistinternal (rows carry the tx hash), contracts: { address: { creation, source } } }
+// }
+// RPC objects are raw JSON-RPC results (hex quantities), explorer rows are raw explorer rows (decimal strings).
+
+function emptyFixture(chain, latestBlock = 0) {
+    return {
+        version: 1,
+        chain: chain.key,
+        latestBlock,
+        rpc: { blocks: [], transactions: [], receipts: [], logs: [], calls: [] },
+        explorer: { tokentx: [], txlist: [], txlistinternal: [], contracts: {} }
+    };
+}
+
+function lower(value) {
+    return typeof value === 'string' ? value.toLowerCase() : value;
+}
+
+// Block tags as a node reads them: numbers, hex quantities or latest/earliest
+function toBlockNumber(tag, latest, fallback) {
+    if (tag === undefined || tag === null) return fallback;
+    if (tag === 'latest' || tag === 'pending' || tag === 'safe' || tag === 'finalized') return latest;
+    if (tag === 'earliest') return 0;
+    return Number(tag);
+}
+
+// One topic position of a log filter: null matches anything, an array matches any of its entries
+function topicMatches(wanted, topic) {
+    if (wanted === null || wanted === undefined) return true;
+    if (Array.isArray(wanted)) return wanted.some(entry => lower(entry) === lower(topic));
+    return lower(wanted) === lower(topic);
+}
+
+function rpcError(code, message, data) {
+    return { code, message, ...(data ? { data } : {}) };
+}
+
+const EXPLORER_EMPTY = { status: '0', message: 'No transactions found', result: [] };
+
+// JSON-RPC node answering from a fixture; requests it has no data for are errors, listed in `misses`
+class ReplayRpcProvider extends ethers.JsonRpcProvider {
+    constructor(fixture, chain) {
+        const network = new ethers.Network(chain.key, chain.chainId);
+        super(undefined, network, { staticNetwork: network });
+        this.chain = chain;
+        this.fixture = fixture;
+        this.misses = [];
+    }
+
+    async _send(payload) {
+        return (Array.isArray(payload) ? payload : [payload]).map(({ id, method, params }) => {
+            try {
+                const { result, error } = this.answer(method, params);
+                if (error) return { id, error };
+                return { id, result };
+            } catch (error) {
+                return { id, error: rpcError(-32603, error.message) };
+            }
+        });
+    }
+
+    answer(method, params) {
+        const { rpc, latestBlock } = this.fixture;
+        const byHash = (list, hash = params[0]) => list.find(entry => lower(entry.hash || entry.transactionHash) === lower(hash)) || null;
+
+        switch (method) {
+            case 'eth_chainId':
+                return { result: ethers.toQuantity(this.chain.chainId) };
+            case 'eth_blockNumber':
+                return { result: ethers.toQuantity(latestBlock) };
+            case 'eth_getBlockByNumber': {
+                const number = toBlockNumber(params[0], latestBlock);
+                const block = rpc.blocks.find(entry => Number(entry.number) === number);
+                if (!block) return this.miss(method, params);
+                if (!params[1]) return { result: block };
+
+                // Full transactions asked for: every one of them must be in the fixture
+                const transactions = block.transactions.map(hash => byHash(rpc.transactions, hash));
+                return transactions.every(Boolean) ? { result: { ...block, transactions } } : this.miss(method, params);
+            }
+            case 'eth_getTransactionByHash': {
+                const tx = byHash(rpc.transactions);
+                return tx ? { result: tx } : this.miss(method, params);
+            }
+            case 'eth_getTransactionReceipt': {
+                const receipt = byHash(rpc.receipts);
+                return receipt ? { result: receipt } : this.miss(method, params);
+            }
+            case 'eth_getLogs':
+                return { result: this.matchLogs(params[0]) };
+            case 'eth_call': {
+                const [tx, blockTag] = params;
+                const block = toBlockNumber(blockTag, latestBlock, latestBlock);
+                // Calls recorded at a given block only answer that block; the others answer any block
+                const candidates = rpc.calls.filter(call => lower(call.to) === lower(tx.to) && lower(call.data) === lower(tx.data));
+                const call = candidates.find(entry => entry.blockTag !== undefined && toBlockNumber(entry.blockTag, latestBlock) === block)
+                    || candidates.find(entry => entry.blockTag === undefined);
+                if (!call) return this.miss(method, params);
+                return call.error ? { error: call.error } : { result: call.result };
+            }
+            default:
+                return this.miss(method, params);
+        }
+    }
+
+    matchLogs(filter) {
+        const { latestBlock } = this.fixture;
+        const fromBlock = toBlockNumber(filter.fromBlock, latestBlock, latestBlock);
+        const toBlock = toBlockNumber(filter.toBlock, latestBlock, latestBlock);
+        const addresses = filter.address ? [].concat(filter.address).map(lower) : null;
+        const topics = filter.topics || [];
+
+        return this.fixture.rpc.logs.filter((log) => {
+            const blockNumber = Number(log.blockNumber);
+            if (blockNumber < fromBlock || blockNumber > toBlock) return false;
+            if (addresses && !addresses.includes(lower(log.address))) return false;
+            return topics.every((wanted, index) => topicMatches(wanted, log.topics[index]));
+        });
+    }
+
+    miss(method, params) {
+        this.misses.push({ method, params });
+        return { error: rpcError(-32000, `${method} not in fixture`) };
+    }
+}
+
+// Drop-in for DataClient (provider + explorer) serving a fixture
+class FixtureClient {
+    constructor(fixture) {
+        this.fixture = fixture;
+        this.chain = getChain(fixture.chain);
+        this.provider = new ReplayRpcProvider(fixture, this.chain);
+        this.misses = this.provider.misses;
+    }
+
+    static async load(file) {
+        return new FixtureClient(JSON.parse(await fs.readFile(file, 'utf8')));
+    }
+
+    async explorer(params) {
+        const { explorer, latestBlock } = this.fixture;
+        const startBlock = toBlockNumber(params.startblock, latestBlock, 0);
+        const endBlock = toBlockNumber(params.endblock, latestBlock, latestBlock);
+        const inRange = row => Number(row.blockNumber) >= startBlock && Number(row.blockNumber) <= endBlock;
+        const touches = row => lower(row.from) === lower(params.address) || lower(row.to) === lower(params.address);
+
+        switch (`${params.module}/${params.action}`) {
+            case 'account/tokentx': {
+                const rows = explorer.tokentx.filter(row => inRange(row) &&
+                    (!params.contractaddress || lower(row.contractAddress) === lower(params.contractaddress)) &&
+                    (!params.address || touches(row)));
+                return this.page(rows, params);
+            }
+            case 'account/txlist':
+                return this.page(explorer.txlist.filter(row => inRange(row) && touches(row)), params);
+            case 'account/txlistinternal': {
+                const rows = params.txhash
+                    ? explorer.txlistinternal.filter(row => lower(row.hash) === lower(params.txhash))
+                    : explorer.txlistinternal.filter(row => inRange(row) && touches(row));
+                return this.page(rows, params);
+            }
+            case 'contract/getcontractcreation': {
+                const result = params.contractaddresses.split(',')
+                    .map(address => explorer.contracts[lower(address)])
+                    .filter(contract => contract && contract.creation)
+                    .map(contract => contract.creation);
+                return result.length > 0 ? { status: '1', message: 'OK', result } : { status: '0', message: 'No data found', result: null };
+            }
+            case 'contract/getsourcecode': {
+                const contract = explorer.contracts[lower(params.address)];
+                const source = contract && contract.source
+                    ? contract.source
+                    : { SourceCode: '', ABI: 'Contract source code not verified', ContractName: '', Proxy: '0', Implementation: '' };
+                return { status: '1', message: 'OK', result: [source] };
+            }
+            case 'proxy/eth_getTransactionByHash': {
+                const { result = null } = this.provider.answer('eth_getTransactionByHash', [params.txhash]);
+                return { jsonrpc: '2.0', id: 1, result };
+            }
+            default:
+                this.misses.push({ method: `${params.module}/${params.action}`, params });
+                return { status: '0', message: 'NOTOK', result: `${params.module}/${params.action} not in fixture` };
+        }
+    }
+
+    // Explorer-style sorting and paging of matching rows
+    page(rows, params) {
+        const sorted = [...rows].sort((a, b) => Number(a.blockNumber) - Number(b.blockNumber) ||
+            Number(a.transactionIndex || 0) - Number(b.transactionIndex || 0) || Number(a.logIndex || 0) - Number(b.logIndex || 0));
+        if (params.sort === 'desc') sorted.reverse();
+        const offset = parseInt(params.offset) || sorted.length;
+        const start = ((parseInt(params.page) || 1) - 1) * offset;
+        const result = sorted.slice(start, start + offset);
+        return result.length > 0 ? { status: '1', message: 'OK', result } : EXPLORER_EMPTY;
+    }
+}
+
+// Wraps a live DataClient and keeps what it fetched, to be saved as a fixture once the run is over
+class RecordingClient {
+    constructor(client) {
+        this.client = client;
+        this.chain = client.chain;
+        this.provider = client.provider;
+        this.fixture = emptyFixture(client.chain);
+
+        // Every JSON-RPC call, batched or not, goes through _send: keep the answers as they arrive
+        const send = this.provider._send.bind(this.provider);
+        this.provider._send = async (payload) => {
+            const results = await send(payload);
+            const requests = Array.isArray(payload) ? payload : [payload];
+            for (const response of results) {
+                const request = requests.find(candidate => candidate.id === response.id);
+                if (request) this.recordRpc(request, response);
+            }
+            return results;
+        };
+    }
+
+    recordRpc({ method, params }, { result, error }) {
+        const { rpc } = this.fixture;
+        const add = (list, entry, key) => {
+            if (entry && !list.some(existing => key(existing) === key(entry))) list.push(entry);
+        };
+
+        switch (method) {
+            case 'eth_blockNumber':
+                if (result) this.fixture.latestBlock = Math.max(this.fixture.latestBlock, Number(result));
+                break;
+            case 'eth_getBlockByNumber':
+                // Blocks are kept with transaction hashes, full transactions go with the others
+                if (result && result.transactions.some(tx => typeof tx === 'object')) {
+                    result.transactions.forEach(tx => add(rpc.transactions, tx, entry => entry.hash));
+                    result = { ...result, transactions: result.transactions.map(tx => tx.hash) };
+                }
+                add(rpc.blocks, result, block => Number(block.number));
+                break;
+            case 'eth_getTransactionByHash':
+                add(rpc.transactions, result, tx => tx.hash);
+                break;
+            case 'eth_getTransactionReceipt':
+                add(rpc.receipts, result, receipt => receipt.transactionHash);
+                break;
+            case 'eth_getLogs':
+                (result || []).forEach(log => add(rpc.logs, log, entry => `${entry.transactionHash}:${entry.logIndex}`));
+                break;
+            case 'eth_call': {
+                const [tx, blockTag] = params;
+                const entry = { to: lower(tx.to), data: lower(tx.data), ...(blockTag && blockTag !== 'latest' ? { blockTag } : {}) };
+                add(rpc.calls, error ? { ...entry, error } : { ...entry, result }, call => `${call.to}:${call.data}:${call.blockTag}`);
+                break;
+            }
+            default:
+                break;
+        }
+    }
+
+    async explorer(params, options) {
+        const data = await this.client.explorer(params, options);
+        const { explorer } = this.fixture;
+        const rows = data.status === '1' && Array.isArray(data.result) ? data.result : [];
+        const add = (list, row, key) => {
+            if (!list.some(existing => key(existing) === key(row))) list.push(row);
+        };
+
+        switch (`${params.module}/${params.action}`) {
+            case 'account/tokentx':
+                rows.forEach(row => add(explorer.tokentx, row, entry => `${entry.hash}:${entry.logIndex}`));
+                break;
+            case 'account/txlist':
+                rows.forEach(row => add(explorer.txlist, row, entry => entry.hash));
+                break;
+            case 'account/txlistinternal':
+                // Rows of a per-transaction query don't repeat the hash
+                rows.map(row => ({ hash: params.txhash, ...row }))
+                    .forEach(row => add(explorer.txlistinternal, row, entry => `${entry.hash}:${entry.traceId}:${entry.to}:${entry.value}`));
+                break;
+            case 'contract/getcontractcreation':
+                rows.forEach((row) => {
+                    const address = lower(row.contractAddress);
+                    explorer.contracts[address] = { ...explorer.contracts[address], creation: row };
+                });
+                break;
+            case 'contract/getsourcecode':
+                if (rows[0] && rows[0].SourceCode) {
+                    const address = lower(params.address);
+                    explorer.contracts[address] = { ...explorer.contracts[address], source: rows[0] };
+                }
+                break;
+            default:
+                break;
+        }
+        return data;
+    }
+
+    async save(file) {
+        await fs.writeFile(file, JSON.stringify(this.fixture, null, 2));
+    }
+}
+
+module.exports = { FixtureClient, RecordingClient, ReplayRpcProvider, emptyFixture };
@@ -0,0 +1,130 @@
+// Funding tracer: follows each buyer's first incoming native transfers back to a common origin
+const DEFAULT_OPTIONS = {
+    maxHops: parseInt(process.env.FUNDING_MAX_HOPS) || 2
+};
+
+class FundingTracer {
+    // source must provide getIncomingTransfers(wallet, beforeBlock) (null on failure) and getTransactionSender(txHash)
+    constructor(source, chain, options = {}) {
+        this.source = source;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        // Chains without an exchange list can't tell an exchange from a shared funder
+        this.screened = Boolean(chain.cexWallets);
+        this.cexWallets = new Map(Object.entries(chain.cexWallets || {}));
+        this.mixers = new Map(Object.entries(chain.mixers || {}));
+        this.incomingCache = new Map();
+    }
+
+    // Incoming transfers are fetched once per wallet and reused for any earlier block (null = fetch failed, not cached)
+    async getIncoming(wallet, beforeBlock) {
+        const cached = this.incomingCache.get(wallet);
+        if (cached && cached.beforeBlock >= beforeBlock) {
+            return cached.transfers.filter(transfer => transfer.blockNumber < beforeBlock);
+        }
+
+        const transfers = await this.source.getIncomingTransfers(wallet, beforeBlock);
+        if (transfers === null) return null;
+        this.incomingCache.set(wallet, { beforeBlock, transfers });
+        return transfers;
+    }
+
+    async trace(wallet, beforeBlock, deployer = null) {
+        const path = [];
+        let current = wallet;
+        let block = beforeBlock;
+
+        if (deployer && wallet === deployer) {
+            return { path: [{ address: wallet, blockNumber: beforeBlock, value: 0, txHash: null }], stop: 'deployer', label: 'deployer' };
+        }
+
+        for (let hop = 0; hop < this.options.maxHops; hop++) {
+            const incoming = await this.getIncoming(current, block);
+            // The explorer failed: the path so far is real, where it leads is unknown
+            if (incoming === null) {
+                return { path, stop: 'error', label: null };
+            }
+            if (incoming.length === 0) {
+                return { path, stop: 'unfunded', label: null };
+            }
+
+            const funding = incoming[0];
+            // Internal transfers come from a contract (disperse, multisend...): the real funder sent the tx
+            const funder = funding.internal
+                ? (await this.source.getTransactionSender(funding.txHash)) || funding.from
+                : funding.from;
+
+            path.push({ address: funder, blockNumber: funding.blockNumber, value: funding.value, txHash: funding.txHash });
+
+            if (deployer && funder === deployer) {
+                return { path, stop: 'deployer', label: 'deployer' };
+            }
+            if (this.cexWallets.has(funder)) {
+                return { path, stop: 'cex', label: this.cexWallets.get(funder) };
+            }
+            if (this.mixers.has(funder)) {
+                return { path, stop: 'mixer', label: this.mixers.get(funder) };
+            }
+
+            current = funder;
+            block = funding.blockNumber;
+        }
+
+        return { path, stop: 'max-hops', label: null };
+    }
+
+    // Buyers whose funding paths meet at a common, non-exchange address
+    groupBuyers(buyers) {
+        const traced = buyers.filter(buyer => buyer.funding && buyer.funding.path.length > 0);
+        const parent = new Map(traced.map(buyer => [buyer.rank, buyer.rank]));
+        const find = (rank) => (parent.get(rank) === rank ? rank : find(parent.get(rank)));
+        const ownerByAddress = new Map();
+
+        for (const buyer of traced) {
+            for (const step of this.sharedSteps(buyer)) {
+                if (ownerByAddress.has(step.address)) {
+                    parent.set(find(buyer.rank), find(ownerByAddress.get(step.address)));
+                } else {
+                    ownerByAddress.set(step.address, buyer.rank);
+                }
+            }
+        }
+
+        const members = new Map();
+        for (const buyer of traced) {
+            const root = find(buyer.rank);
+            if (!members.has(root)) members.set(root, []);
+            members.get(root).push(buyer);
+        }
+
+        return [...members.values()]
+            .filter(group => group.length > 1 || group[0].funding.stop === 'deployer')
+            .map((group) => {
+                // Closest address every member's path goes through
+                const sharedByAll = this.sharedSteps(group[0]).find(step =>
+                    group.every(buyer => this.sharedSteps(buyer).some(other => other.address === step.address))
+                );
+                return {
+                    funder: sharedByAll ? sharedByAll.address : this.sharedSteps(group[0])[0].address,
+                    ranks: group.map(buyer => buyer.rank).sort((a, b) => a - b),
+                    wallets: group.map(buyer => buyer.wallet),
+                    supplyPercent: group.reduce((sum, buyer) => sum + buyer.supplyPercent, 0),
+                    fromDeployer: group.some(buyer => buyer.funding.stop === 'deployer')
+                };
+            })
+            .sort((a, b) => b.fromDeployer - a.fromDeployer || b.ranks.length - a.ranks.length);
+    }
+
+    // Exchanges and mixers fund everyone: they never link two buyers together.
+    // Unscreened chains link no one: a shared funder there is unknown, not proof
+    isLinking(address) {
+        return this.screened && !this.cexWallets.has(address) && !this.mixers.has(address);
+    }
+
+    // The deployer at the end of a path is known for sure, screened or not
+    sharedSteps(buyer) {
+        const { path, stop } = buyer.funding;
+        return path.filter((step, index) => this.isLinking(step.address) || (stop === 'deployer' && index === path.length - 1));
+    }
+}
+
+module.exports = { FundingTracer };
@@ -0,0 +1,146 @@
+const { ethers } = require('ethers');
+
+// Current holder distribution, rebuilt by replaying every Transfer event of the token
+const DEFAULT_OPTIONS = {
+    topHolders: parseInt(process.env.HOLDERS_TOP) || 20,
+    logChunk: 10000,    // blocks per getLogs, halved when the RPC refuses a range
+    minLogChunk: 100
+};
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const DEAD_ADDRESS = '0x000000000000000000000000000000000000dead';
+
+function gini(values) {
+    const sorted = values.filter(value => value > 0).sort((a, b) => a - b);
+    const total = sorted.reduce((sum, value) => sum + value, 0);
+    if (sorted.length === 0 || total === 0) return null;
+    const weighted = sorted.reduce((sum, value, index) => sum + (index + 1) * value, 0);
+    return (2 * weighted) / (sorted.length * total) - (sorted.length + 1) / sorted.length;
+}
+
+class HolderIndex {
+    // source must provide chain, provider and cache (null = no persistence)
+    constructor(source, options = {}) {
+        this.source = source;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+    }
+
+    // Balances are replayed once, then only the blocks seen since
+    async update(contractAddress, startBlock = 0) {
+        const cacheKey = `${this.source.chain.key}-holders`;
+        const cached = this.source.cache ? await this.source.cache.get(cacheKey, contractAddress) : null;
+        const balances = new Map(Object.entries(cached ? cached.balances : {}).map(([address, value]) => [address, BigInt(value)]));
+        const latest = await this.source.provider.getBlockNumber();
+        let fromBlock = cached ? cached.lastBlock + 1 : startBlock;
+        let chunk = this.options.logChunk;
+        let transfers = 0;
+
+        console.log(`👥 Replaying transfers of ${contractAddress} from block ${fromBlock}...`);
+
+        while (fromBlock <= latest) {
+            const toBlock = Math.min(fromBlock + chunk - 1, latest);
+            let logs;
+            try {
+                logs = await this.source.provider.getLogs({ address: contractAddress, topics: [TRANSFER_TOPIC], fromBlock, toBlock });
+            } catch (error) {
+                // Too many results or too wide a range: retry on smaller ones from here on
+                if (chunk <= this.options.minLogChunk) throw error;
+                chunk = Math.max(this.options.minLogChunk, Math.floor(chunk / 2));
+                continue;
+            }
+
+            for (const log of logs) {
+                // ERC-721 style transfers index the amount too: not ours
+                if (log.topics.length !== 3) continue;
+                const from = ethers.getAddress(ethers.dataSlice(log.topics[1], 12)).toLowerCase();
+                const to = ethers.getAddress(ethers.dataSlice(log.topics[2], 12)).toLowerCase();
+                const value = BigInt(log.data);
+                balances.set(from, (balances.get(from) || 0n) - value);
+                balances.set(to, (balances.get(to) || 0n) + value);
+            }
+            transfers += logs.length;
+            fromBlock = toBlock + 1;
+        }
+
+        // Mints come from the zero address, which would go negative; empty balances are dropped
+        balances.delete(ethers.ZeroAddress);
+        for (const [address, balance] of balances) {
+            if (balance <= 0n) balances.delete(address);
+        }
+
+        console.log(`✅ ${transfers} new transfers, ${balances.size} holders at block ${latest}`);
+
+        const state = {
+            version: 1,
+            contractAddress: contractAddress.toLowerCase(),
+            lastBlock: latest,
+            balances: Object.fromEntries([...balances].map(([address, balance]) => [address, balance.toString()]))
+        };
+        if (this.source.cache) await this.source.cache.set(cacheKey, contractAddress, state);
+        return state;
+    }
+
+    // Top holders with labels and early-buyer marks, plus concentration among plain wallets
+    // context: tokenInfo, pools, deployer, buyers and bundles of the first-buyers analysis (buyers/bundles may be empty)
+    report(state, { tokenInfo, pools, deployer, buyers = [], bundles = [] }) {
+        const { chain } = this.source;
+        const poolNames = new Map(pools.map(pool => [pool.address, pool.dex]));
+        const lockers = new Map(Object.entries(chain.lockers || {}));
+        const cexWallets = new Map(Object.entries(chain.cexWallets || {}));
+        const buyersByWallet = new Map(buyers.map(buyer => [buyer.wallet, buyer]));
+        const bundleByRank = new Map();
+        for (const bundle of bundles) {
+            bundle.ranks.forEach(rank => bundleByRank.set(rank, bundle));
+        }
+
+        const holders = Object.entries(state.balances)
+            .map(([address, balance]) => ({ address, balance: parseFloat(ethers.formatUnits(BigInt(balance), tokenInfo.decimals)) }))
+            .sort((a, b) => b.balance - a.balance);
+        const supply = tokenInfo.totalSupply > 0 ? tokenInfo.totalSupply : holders.reduce((sum, holder) => sum + holder.balance, 0);
+        const percent = balance => (supply > 0 ? (balance / supply) * 100 : 0);
+
+        // Addresses that hold tokens without being anyone's position
+        const kind = (address) => {
+            if (poolNames.has(address)) return 'pool';
+            if (address === DEAD_ADDRESS) return 'burn';
+            if (lockers.has(address)) return 'locker';
+            if (address === state.contractAddress) return 'contract';
+            return null;
+        };
+
+        const describe = (holder, index) => {
+            const buyer = buyersByWallet.get(holder.address) || null;
+            const bundle = buyer ? bundleByRank.get(buyer.rank) : null;
+            return {
+                rank: index + 1,
+                address: holder.address,
+                balance: holder.balance,
+                percent: percent(holder.balance),
+                kind: kind(holder.address),
+                label: poolNames.get(holder.address) || lockers.get(holder.address) || cexWallets.get(holder.address) || null,
+                deployer: holder.address === deployer,
+                buyer: buyer ? { rank: buyer.rank, classification: bundle ? 'bundle' : 'sniper', bundleId: bundle ? bundle.id : null } : null
+            };
+        };
+
+        const wallets = holders.filter(holder => kind(holder.address) === null);
+        const sumPercent = list => list.reduce((sum, holder) => sum + percent(holder.balance), 0);
+        const byKind = wanted => holders.filter(holder => kind(holder.address) === wanted);
+
+        return {
+            lastBlock: state.lastBlock,
+            holderCount: holders.length,
+            top: holders.slice(0, this.options.topHolders).map(describe),
+            concentration: {
+                top10Percent: sumPercent(wallets.slice(0, 10)),
+                gini: gini(wallets.map(holder => holder.balance)),
+                poolsPercent: sumPercent(byKind('pool')),
+                burnedPercent: sumPercent(byKind('burn')),
+                lockedPercent: sumPercent(byKind('locker')),
+                contractPercent: sumPercent(byKind('contract'))
+            }
+        };
+    }
+}
+
+module.exports = { HolderIndex, DEFAULT_OPTIONS };
@@ -0,0 +1,128 @@
+const { ethers } = require('ethers');
+
+// A wallet holding less than this share of what it bought has exited
+const DUST_RATIO = 0.001;
+// ...and one holding at least this share, without selling, is still holding
+const HOLDING_RATIO = 0.99;
+
+// Current position of each early buyer: balance, sells, realized and unrealized value
+class HoldingsTracker {
+    // source must provide routers, getTokenBalances(), getTokenPrice() and getSellProceeds() (null on failure)
+    constructor(source) {
+        this.source = source;
+    }
+
+    async update(state) {
+        const { tokenInfo, pools } = state;
+        const wallets = state.buyers.map(buyer => buyer.wallet);
+        const walletSet = new Set(wallets);
+        const poolAddresses = new Set(pools.map(pool => pool.address));
+        const mintHashes = new Set(state.liquidityEvents.map(event => event.txHash));
+
+        console.log(`💼 Updating holdings for ${wallets.length} buyers...`);
+
+        const [balances, price] = await Promise.all([
+            this.source.getTokenBalances(state.contractAddress, wallets, tokenInfo.decimals),
+            this.source.getTokenPrice(pools, tokenInfo.decimals)
+        ]);
+
+        // Tokens a buyer sent into a pool (directly or through a router) outside liquidity adds are sells
+        const sellsByWallet = new Map();
+        for (const tx of state.transactions) {
+            const from = tx.from.toLowerCase();
+            const to = tx.to.toLowerCase();
+            if (!walletSet.has(from) || mintHashes.has(tx.hash)) continue;
+            if (!poolAddresses.has(to) && !this.source.routers.has(to)) continue;
+
+            if (!sellsByWallet.has(from)) sellsByWallet.set(from, []);
+            sellsByWallet.get(from).push(tx);
+        }
+
+        // Proceeds never change once a sell is mined: only fetch the new ones (and those that failed before)
+        const sellProceeds = (state.holdings && state.holdings.sellProceeds) || {};
+        const pending = [...new Set([...sellsByWallet.values()].flat().map(sell => sell.hash))]
+            .filter(hash => sellProceeds[hash] === undefined || sellProceeds[hash] === null);
+        const proceeds = await Promise.all(pending.map(hash => this.source.getSellProceeds(hash, pools)));
+        pending.forEach((hash, index) => {
+            sellProceeds[hash] = proceeds[index];
+        });
+
+        for (const buyer of state.buyers) {
+            const sells = sellsByWallet.get(buyer.wallet) || [];
+            const balance = balances.has(buyer.wallet) ? balances.get(buyer.wallet) : null;
+            const sold = sells.reduce((sum, sell) => sum + parseFloat(ethers.formatUnits(sell.value, tokenInfo.decimals)), 0);
+            const sellHashes = [...new Set(sells.map(sell => sell.hash))];
+            const realized = sellHashes.reduce((sum, hash) => sum + (sellProceeds[hash] || 0), 0);
+            const unrealized = balance !== null && price ? balance * price.price : null;
+            const missing = [
+                ...(balance === null ? ['balance'] : []),
+                ...(sellHashes.some(hash => sellProceeds[hash] === null) ? ['proceeds'] : [])
+            ];
+            // A PnL built on a missing balance or sell would be wrong, not just imprecise
+            const pnl = buyer.nativeSpent !== null && unrealized !== null && missing.length === 0
+                ? realized + unrealized - buyer.nativeSpent - (buyer.totalCost || 0)
+                : null;
+
+            let status = 'unknown';
+            if (balance !== null) {
+                if (balance <= buyer.amount * DUST_RATIO) {
+                    status = 'exited';
+                } else if (sold > 0 || balance < buyer.amount * HOLDING_RATIO) {
+                    status = 'partial';
+                } else {
+                    status = 'holding';
+                }
+            }
+
+            buyer.holding = {
+                balance,
+                heldPercent: balance !== null && tokenInfo.totalSupply > 0 ? (balance / tokenInfo.totalSupply) * 100 : null,
+                sold,
+                sells: sells.length,
+                firstSellAt: sells.length > 0 ? new Date(Math.min(...sells.map(sell => parseInt(sell.timeStamp))) * 1000) : null,
+                realized,
+                unrealized,
+                pnl,
+                status,
+                missing
+            };
+        }
+
+        state.holdings = { updatedAt: new Date(), price, sellProceeds };
+    }
+
+    // Totals for a group of buyers (the bundle, the snipers...)
+    summarize(buyers) {
+        const summary = {
+            wallets: buyers.length,
+            holding: 0,
+            partial: 0,
+            exited: 0,
+            boughtPercent: 0,
+            heldPercent: 0,
+            sold: 0,
+            spent: 0,
+            realized: 0,
+            unrealized: 0,
+            pnl: 0
+        };
+
+        for (const buyer of buyers) {
+            summary.boughtPercent += buyer.supplyPercent;
+            summary.spent += buyer.nativeSpent || 0;
+            if (!buyer.holding) continue;
+
+            const { holding } = buyer;
+            if (summary[holding.status] !== undefined) summary[holding.status]++;
+            summary.heldPercent += holding.heldPercent || 0;
+            summary.sold += holding.sold;
+            summary.realized += holding.realized;
+            summary.unrealized += holding.unrealized || 0;
+            summary.pnl += holding.pnl || 0;
+        }
+
+        return summary;
+    }
+}
+
+module.exports = { HoldingsTracker };
@@ -0,0 +1,61 @@
+// Bot replies per language; reports themselves are English only for now
+const MESSAGES = {
+    en: {
+        unknownChain: '❌ Unknown chain "{name}". Available: {chains}',
+        invalidAddress: '❌ Invalid address',
+        invalidRange: '❌ Invalid range. Use: 1-10, 11-20, etc. (max {max})',
+        error: '❌ Error: {message}',
+        notAllowed: '🔒 This bot is private. Ask an admin to run `/allow {id}`',
+        groupAdminOnly: '🔒 Only group admins can do this',
+        botAdminOnly: '🔒 Only bot admins can do this',
+        quotaExceeded: '⏳ Request quota reached ({quota} per {hours}h). Try again in {minutes} min',
+        chainCurrent: '🌐 Current chain: **{name}**\nAvailable: {chains}',
+        chainSet: '✅ Default chain set to **{name}**',
+        settingsTitle: '⚙️ **Settings for this chat**',
+        settingsUsage: 'Change one with `/settings <name> <value>`, or `/settings reset`',
+        settingSaved: '✅ **{key}** set to `{value}`',
+        settingsReset: '✅ Settings reset to defaults',
+        unknownSetting: '❌ Unknown setting "{key}". Available: {keys}',
+        invalidSetting: '❌ Invalid value for **{key}**: expected {hint}',
+        quotaLeft: '📊 Requests left: {remaining}/{quota} (resets in {minutes} min)',
+        allowed: '✅ `{id}` can use the bot',
+        denied: '✅ `{id}` removed from the allow-list',
+        notInList: '⚠️ `{id}` is not in the allow-list',
+        allowList: '🔐 **Allow-list:** {ids}',
+        reportExpired: '⌛ This report is no longer cached. Send the address again to rebuild it'
+    },
+    fr: {
+        unknownChain: '❌ Chaîne inconnue "{name}". Disponibles : {chains}',
+        invalidAddress: '❌ Adresse invalide',
+        invalidRange: '❌ Plage invalide. Utilisez : 1-10, 11-20, etc. (max {max})',
+        error: '❌ Erreur : {message}',
+        notAllowed: '🔒 Ce bot est privé. Demandez à un admin de lancer `/allow {id}`',
+        groupAdminOnly: '🔒 Réservé aux admins du groupe',
+        botAdminOnly: '🔒 Réservé aux admins du bot',
+        quotaExceeded: '⏳ Quota de requêtes atteint ({quota} par {hours}h). Réessayez dans {minutes} min',
+        chainCurrent: '🌐 Chaîne actuelle : **{name}**\nDisponibles : {chains}',
+        chainSet: '✅ Chaîne par défaut : **{name}**',
+        settingsTitle: '⚙️ **Réglages de ce chat**',
+        settingsUsage: 'Modifier : `/settings <nom> <valeur>`, ou `/settings reset`',
+        settingSaved: '✅ **{key}** réglé sur `{value}`',
+        settingsReset: '✅ Réglages par défaut rétablis',
+        unknownSetting: '❌ Réglage inconnu "{key}". Disponibles : {keys}',
+        invalidSetting: '❌ Valeur invalide pour **{key}** : attendu {hint}',
+        quotaLeft: '📊 Requêtes restantes : {remaining}/{quota} (remise à zéro dans {minutes} min)',
+        allowed: '✅ `{id}` peut utiliser le bot',
+        denied: '✅ `{id}` retiré de la liste',
+        notInList: '⚠️ `{id}` n\'est pas dans la liste',
+        allowList: '🔐 **Liste autorisée :** {ids}',
+        reportExpired: '⌛ Ce rapport n\'est plus en cache. Renvoyez l\'adresse pour le reconstruire'
+    }
+};
+
+const LANGUAGES = Object.keys(MESSAGES);
+
+// Message in the given language (English when missing), with {name} placeholders filled in
+function translate(language, key, params = {}) {
+    const template = (MESSAGES[language] && MESSAGES[language][key]) || MESSAGES.en[key];
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? String(params[name]) : placeholder));
+}
+
+module.exports = { LANGUAGES, MESSAGES, translate };
@@ -0,0 +1,145 @@
+// In-process queue for long-running work: bounded concurrency, identical requests share one job
+const DEFAULT_OPTIONS = {
+    concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2
+};
+
+// Rejection of a cancelled job (or of one subscriber that gave up on it)
+function cancelledError() {
+    const error = new Error('Cancelled');
+    error.code = 'CANCELLED';
+    return error;
+}
+
+class JobQueue {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.jobs = new Map();   // id -> job, queued or running
+        this.byKey = new Map();  // key -> job, for de-duplication
+        this.queue = [];         // waiting jobs, in order
+        this.running = 0;
+        this.nextId = 1;
+    }
+
+    // Joins the queued or running job with the same key, or queues a new one.
+    // run({ signal, progress(text) }) does the work; onUpdate(job) is called on every progress or position change.
+    // Returns { job, subscriberId, promise }, the promise settling with the job or on cancel
+    submit(key, run, onUpdate = () => {}) {
+        let job = this.byKey.get(key);
+        if (!job) {
+            job = {
+                id: this.nextId++,
+                key,
+                run,
+                status: 'queued',
+                progress: null,
+                controller: new AbortController(),
+                subscribers: new Map(),
+                nextSubscriberId: 1
+            };
+            this.jobs.set(job.id, job);
+            this.byKey.set(key, job);
+            this.queue.push(job);
+            console.log(`📥 Job #${job.id} queued: ${key} (${this.queue.length} waiting, ${this.running} running)`);
+        } else {
+            console.log(`🔗 Joined job #${job.id}: ${key}`);
+        }
+
+        const subscriberId = job.nextSubscriberId++;
+        const promise = new Promise((resolve, reject) => {
+            job.subscribers.set(subscriberId, { onUpdate, resolve, reject });
+        });
+
+        this.drain();
+        return { job, subscriberId, promise };
+    }
+
+    // 1-based place in the waiting line, 0 once running
+    position(job) {
+        return job.status === 'queued' ? this.queue.indexOf(job) + 1 : 0;
+    }
+
+    // Drops one subscriber; the job itself stops once nobody waits for it anymore
+    cancel(jobId, subscriberId) {
+        const job = this.jobs.get(jobId);
+        const subscriber = job && job.subscribers.get(subscriberId);
+        if (!subscriber) return false;
+
+        job.subscribers.delete(subscriberId);
+        subscriber.reject(cancelledError());
+        if (job.subscribers.size > 0) return true;
+
+        console.log(`🛑 Job #${job.id} cancelled`);
+        if (job.status === 'queued') {
+            this.queue.splice(this.queue.indexOf(job), 1);
+            this.forget(job);
+            this.notifyQueued();
+        } else {
+            job.controller.abort(cancelledError());
+        }
+        return true;
+    }
+
+    drain() {
+        while (this.running < this.options.concurrency && this.queue.length > 0) {
+            this.start(this.queue.shift());
+        }
+        this.notifyQueued();
+    }
+
+    start(job) {
+        job.status = 'running';
+        this.running++;
+        this.notify(job);
+
+        const task = {
+            signal: job.controller.signal,
+            progress: (text) => {
+                job.progress = text;
+                this.notify(job);
+            }
+        };
+
+        Promise.resolve()
+            .then(() => job.run(task))
+            .then(
+                result => this.finish(job, null, result),
+                error => this.finish(job, error)
+            );
+    }
+
+    finish(job, error, result) {
+        this.running--;
+        this.forget(job);
+        job.status = error ? (error.code === 'CANCELLED' ? 'cancelled' : 'failed') : 'done';
+        console.log(`${error ? '⚠️' : '✅'} Job #${job.id} ${job.status}`);
+
+        for (const subscriber of job.subscribers.values()) {
+            if (error) subscriber.reject(error);
+            else subscriber.resolve(result);
+        }
+        job.subscribers.clear();
+        this.drain();
+    }
+
+    forget(job) {
+        this.jobs.delete(job.id);
+        if (this.byKey.get(job.key) === job) this.byKey.delete(job.key);
+    }
+
+    notify(job) {
+        for (const subscriber of job.subscribers.values()) {
+            try {
+                subscriber.onUpdate(job);
+            } catch (error) {
+                console.warn(`⚠️ Job #${job.id} update failed:`, error.message);
+            }
+        }
+    }
+
+    // Everyone waiting moved up
+    notifyQueued() {
+        this.queue.forEach(job => this.notify(job));
+    }
+}
+
+module.exports = { JobQueue, DEFAULT_OPTIONS, cancelledError };
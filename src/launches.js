@@ -0,0 +1,173 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Launch history: one record per analyzed token, the reference /compare and /leaderboard rank launches against
+const DEFAULT_OPTIONS = {
+    buyers: parseInt(process.env.LAUNCH_RECORD_BUYERS) || 100,     // first buyers every record is built from, whatever the chat asked for
+    sniperBlocks: parseInt(process.env.LAUNCH_SNIPER_BLOCKS) || 3,  // snipers = non-bundled buyers within this many blocks of the first buy
+    leaderboardSize: 10
+};
+
+// Record fields /compare ranks a launch on
+const METRICS = ['bundledWallets', 'bundledSupply', 'snipers', 'bribes', 'timeToFirstSell'];
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+// Share of the other values below this one, ties counting half
+function percentileOf(value, others) {
+    if (others.length === 0) return null;
+    const below = others.filter(other => other < value).length;
+    const equal = others.filter(other => other === value).length;
+    return ((below + equal / 2) / others.length) * 100;
+}
+
+function launchTime(record) {
+    return Date.parse(record.launchedAt || record.recordedAt);
+}
+
+class LaunchStore {
+    constructor(file, options = {}) {
+        this.file = file;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.data = { version: 1, launches: {} };
+        this.saving = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            this.data = { ...this.data, ...JSON.parse(await fs.readFile(this.file, 'utf8')) };
+            console.log(`📚 Launch history loaded: ${Object.keys(this.data.launches).length} launches`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('⚠️ Launch history read failed:', error.message);
+            }
+        }
+    }
+
+    // One write at a time, in call order: each one holds every record added before it
+    save() {
+        this.saving = this.saving.then(() => this.write());
+        return this.saving;
+    }
+
+    async write() {
+        const tempFile = `${this.file}.tmp`;
+        try {
+            await fs.mkdir(path.dirname(this.file), { recursive: true });
+            await fs.writeFile(tempFile, JSON.stringify(this.data));
+            await fs.rename(tempFile, this.file);
+        } catch (error) {
+            console.warn('⚠️ Launch history write failed:', error.message);
+        }
+    }
+
+    getKey(chainKey, contractAddress) {
+        return `${chainKey}:${contractAddress.toLowerCase()}`;
+    }
+
+    get(chainKey, contractAddress) {
+        return this.data.launches[this.getKey(chainKey, contractAddress)] || null;
+    }
+
+    // Summary of an analysis (analyzeFirstBuyers results), replacing the token's previous record
+    buildRecord(chain, results) {
+        const { tokenInfo, buyers, bundles } = results;
+        const [first] = buyers;
+        const bundledRanks = new Set(bundles.flatMap(bundle => bundle.ranks));
+        const bundled = buyers.filter(buyer => bundledRanks.has(buyer.rank));
+        const snipers = buyers.filter(buyer => !bundledRanks.has(buyer.rank) && buyer.blockNumber < first.blockNumber + this.options.sniperBlocks);
+
+        // Only early buyers' sells are tracked: the first of them, counted from the first buy
+        const sellTimes = buyers
+            .map(buyer => buyer.holding && buyer.holding.firstSellAt)
+            .filter(Boolean)
+            .map(date => new Date(date).getTime());
+
+        return {
+            chain: chain.key,
+            contractAddress: results.contractAddress.toLowerCase(),
+            name: tokenInfo.name,
+            symbol: tokenInfo.symbol,
+            launchBlock: first.blockNumber,
+            launchedAt: first.timestamp ? new Date(first.timestamp).toISOString() : null,
+            recordedAt: new Date().toISOString(),
+            buyers: buyers.length,
+            bundles: bundles.length,
+            bundledWallets: bundled.length,
+            bundledSupply: bundled.reduce((sum, buyer) => sum + buyer.supplyPercent, 0),
+            snipers: snipers.length,
+            sniperWallets: snipers.map(buyer => buyer.wallet),
+            bribes: buyers.reduce((sum, buyer) => sum + (buyer.bribe || 0), 0),
+            timeToFirstSell: first.timestamp && sellTimes.length > 0 ? Math.max(0, Math.min(...sellTimes) - new Date(first.timestamp).getTime()) : null
+        };
+    }
+
+    async record(chain, results) {
+        if (results.buyers.length === 0) return null;
+        const record = this.buildRecord(chain, results);
+        this.data.launches[this.getKey(chain.key, record.contractAddress)] = record;
+        await this.save();
+        console.log(`📚 Launch recorded: ${chain.key} ${record.symbol} (${record.snipers} snipers, ${record.bundledWallets} bundled)`);
+        return record;
+    }
+
+    // Launches of a chain, those launched since a date only when given
+    forChain(chainKey, since = null) {
+        return Object.values(this.data.launches)
+            .filter(record => record.chain === chainKey)
+            .filter(record => !since || launchTime(record) >= since.getTime());
+    }
+
+    // Where a recorded launch stands among the chain's other launches, metric by metric; null if not recorded
+    compare(chainKey, contractAddress) {
+        const record = this.get(chainKey, contractAddress);
+        if (!record) return null;
+        const others = this.forChain(chainKey).filter(other => other !== record);
+
+        const metrics = {};
+        for (const metric of METRICS) {
+            const values = others.map(other => other[metric]).filter(value => value !== null && value !== undefined);
+            metrics[metric] = {
+                value: record[metric],
+                percentile: record[metric] === null ? null : percentileOf(record[metric], values),
+                median: median(values),
+                compared: values.length
+            };
+        }
+
+        return { record, launches: others.length, metrics };
+    }
+
+    // Most sniped launches and the wallets sniping most often, over the launches since a date (all when null)
+    leaderboard(chainKey, since = null) {
+        const records = this.forChain(chainKey, since);
+        const size = this.options.leaderboardSize;
+
+        const launches = [...records]
+            .sort((a, b) => b.snipers - a.snipers || b.bundledWallets - a.bundledWallets || b.bribes - a.bribes)
+            .slice(0, size);
+
+        const byWallet = new Map();
+        for (const record of records) {
+            for (const wallet of new Set(record.sniperWallets)) {
+                if (!byWallet.has(wallet)) byWallet.set(wallet, []);
+                byWallet.get(wallet).push(record.symbol);
+            }
+        }
+        // One launch makes a buyer, not a sniper
+        const wallets = [...byWallet.entries()]
+            .filter(([, symbols]) => symbols.length > 1)
+            .map(([wallet, symbols]) => ({ wallet, launches: symbols.length, symbols }))
+            .sort((a, b) => b.launches - a.launches)
+            .slice(0, size);
+
+        return { chain: chainKey, since, total: records.length, launches, wallets };
+    }
+}
+
+module.exports = { LaunchStore, DEFAULT_OPTIONS, METRICS };
@@ -0,0 +1,219 @@
+const { getChain } = require('./chains');
+
+const DEFAULT_OPTIONS = {
+    interval: parseInt(process.env.WATCH_INTERVAL_MS) || 15000,
+    maxBlocksPerPoll: 2000,
+    reportDelayBlocks: 3,        // let the first blocks of trading land before analysing
+    walletFirstBuyers: parseInt(process.env.WATCH_WALLET_FIRST_BUYERS) || 20,
+    newPairTtlMs: 30 * 60 * 1000, // stop following a new pair for watched wallets after this
+    blockSaveMs: 60000            // how often the last polled block alone is written to the watchlist
+};
+
+// Polls new blocks on every chain with subscriptions: launch of watched tokens, watched wallets sniping new pairs
+class LaunchMonitor {
+    // handlers: getAnalyzer(chain), notify(chatId, text), report(chatId, chain, address)
+    constructor(store, handlers, options = {}) {
+        this.store = store;
+        this.handlers = handlers;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.newPairs = new Map(); // chainKey -> Map(pool address -> { pool, token, buyers, expiresAt })
+        this.timer = null;
+        this.polling = false;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.poll(), this.options.interval);
+        console.log(`👀 Launch monitor started (every ${this.options.interval / 1000}s)`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Whether a token already has buys: around its pools' creation and in the most recent blocks
+    async hasTraded(chain, pools) {
+        if (pools.length === 0) return false;
+
+        const analyzer = this.handlers.getAnalyzer(chain);
+        const latest = await analyzer.provider.getBlockNumber();
+        const window = this.options.maxBlocksPerPoll;
+        const created = pools.map(pool => pool.createdBlock).filter(block => block !== null);
+        const ranges = [[Math.max(0, latest - window + 1), latest]];
+        if (created.length > 0) {
+            const first = Math.min(...created);
+            ranges.push([first, Math.min(latest, first + window - 1)]);
+        }
+
+        for (const [fromBlock, toBlock] of ranges) {
+            const events = await analyzer.getPoolEvents(pools, fromBlock, toBlock);
+            if (events.some(event => event.type === 'buy')) return true;
+        }
+        return false;
+    }
+
+    async poll() {
+        // A slow RPC must not stack polls on top of each other
+        if (this.polling) return;
+        this.polling = true;
+        try {
+            for (const chainKey of this.store.chainsInUse()) {
+                try {
+                    await this.pollChain(getChain(chainKey));
+                } catch (error) {
+                    console.warn(`⚠️ Monitor poll failed on ${chainKey}:`, error.message);
+                }
+            }
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    async pollChain(chain) {
+        const analyzer = this.handlers.getAnalyzer(chain);
+        const latest = await analyzer.provider.getBlockNumber();
+        const lastBlock = this.store.getLastBlock(chain.key);
+
+        // First poll on a chain starts from the head; after a restart, resume where we stopped
+        const fromBlock = lastBlock === null ? latest : lastBlock + 1;
+        if (fromBlock > latest) return;
+        const toBlock = Math.min(latest, fromBlock + this.options.maxBlocksPerPoll - 1);
+
+        const tokenSubs = this.store.tokensForChain(chain.key);
+        const walletSubs = this.store.walletsForChain(chain.key);
+
+        if (walletSubs.length === 0) this.newPairs.delete(chain.key);
+
+        const created = await analyzer.getNewPools(fromBlock, toBlock);
+        await this.attachNewPools(chain, tokenSubs, walletSubs, created);
+
+        const waiting = tokenSubs.filter(sub => sub.status !== 'trading');
+        const followed = [...(this.newPairs.get(chain.key) || new Map()).values()];
+        const pools = new Map();
+        for (const sub of waiting) {
+            for (const pool of sub.pools) pools.set(pool.address, pool);
+        }
+        for (const pair of followed) pools.set(pair.pool.address, pair.pool);
+
+        if (pools.size > 0) {
+            const events = await analyzer.getPoolEvents([...pools.values()], fromBlock, toBlock);
+            await this.checkLaunches(chain, waiting, events);
+            if (walletSubs.length > 0) await this.checkWallets(chain, analyzer, walletSubs, events);
+        }
+
+        await this.sendDueReports(chain, tokenSubs, toBlock);
+        // Any change above saved the watchlist already; a new head alone is written at most every blockSaveMs,
+        // a restart in between just rescans those blocks
+        this.store.setLastBlock(chain.key, toBlock);
+        if (Date.now() - this.store.savedAt >= this.options.blockSaveMs) await this.store.save();
+    }
+
+    async attachNewPools(chain, tokenSubs, walletSubs, created) {
+        const analyzer = this.handlers.getAnalyzer(chain);
+        let changed = false;
+
+        for (const { dex, address, token0, token1, fee, blockNumber } of created) {
+            for (const sub of tokenSubs) {
+                if (![token0.toLowerCase(), token1.toLowerCase()].includes(sub.address)) continue;
+                if (sub.pools.some(pool => pool.address === address.toLowerCase())) continue;
+
+                sub.pools.push(analyzer.describePool(dex, address, token0, token1, fee, blockNumber, sub.address));
+                changed = true;
+                console.log(`🏊 New pool for watched ${sub.address}: ${dex.name} ${address}`);
+            }
+
+            // Watched wallets: follow fresh pairs against the wrapped native token
+            if (walletSubs.length === 0) continue;
+            const wrapped = chain.wrappedNative;
+            if (token0.toLowerCase() !== wrapped && token1.toLowerCase() !== wrapped) continue;
+
+            const token = token0.toLowerCase() === wrapped ? token1.toLowerCase() : token0.toLowerCase();
+            if (!this.newPairs.has(chain.key)) this.newPairs.set(chain.key, new Map());
+            this.newPairs.get(chain.key).set(address.toLowerCase(), {
+                pool: analyzer.describePool(dex, address, token0, token1, fee, blockNumber, token),
+                token,
+                buyers: [],
+                expiresAt: Date.now() + this.options.newPairTtlMs
+            });
+        }
+
+        if (changed) await this.store.save();
+    }
+
+    async checkLaunches(chain, waiting, events) {
+        let changed = false;
+
+        for (const sub of waiting) {
+            const poolAddresses = new Set(sub.pools.map(pool => pool.address));
+            const own = events.filter(event => poolAddresses.has(event.pool.address));
+
+            const mint = own.find(event => event.type === 'mint');
+            if (mint && sub.status === 'waiting') {
+                sub.status = 'liquidity';
+                changed = true;
+                await this.handlers.notify(sub.chatId,
+                    `💧 **Liquidity added** on ${chain.name}\n\`${sub.address}\`\n${mint.pool.dex}, block ${mint.blockNumber}\n\n⏳ Waiting for the first buys...`);
+            }
+
+            const buy = own.find(event => event.type === 'buy');
+            if (buy) {
+                sub.status = 'trading';
+                sub.tradingBlock = buy.blockNumber;
+                changed = true;
+                await this.handlers.notify(sub.chatId,
+                    `🚀 **Trading open** on ${chain.name}\n\`${sub.address}\`\nFirst buy in block ${buy.blockNumber}\n\n📊 Report coming in ${this.options.reportDelayBlocks} blocks...`);
+            }
+        }
+
+        if (changed) await this.store.save();
+    }
+
+    async sendDueReports(chain, tokenSubs, currentBlock) {
+        for (const sub of tokenSubs) {
+            if (sub.status !== 'trading' || currentBlock < sub.tradingBlock + this.options.reportDelayBlocks) continue;
+
+            // Mark first so a failing report is not retried on every poll
+            sub.status = 'reported';
+            await this.store.save();
+            console.log(`📊 Launch report for watched ${chain.key} ${sub.address} → chat ${sub.chatId}`);
+            await this.handlers.report(sub.chatId, chain, sub.address);
+        }
+    }
+
+    async checkWallets(chain, analyzer, walletSubs, events) {
+        const pairs = this.newPairs.get(chain.key);
+        if (!pairs) return;
+
+        for (const event of events) {
+            const pair = pairs.get(event.pool.address);
+            if (!pair || event.type !== 'buy' || pair.buyers.length >= this.options.walletFirstBuyers) continue;
+
+            // Router recipients hide the buyer: fall back to whoever sent the transaction
+            const buyer = analyzer.routers.has(event.recipient)
+                ? (await analyzer.getTransactionSender(event.txHash)) || event.recipient
+                : event.recipient;
+            if (pair.buyers.includes(buyer)) continue;
+            pair.buyers.push(buyer);
+
+            for (const sub of walletSubs.filter(sub => sub.wallet === buyer)) {
+                await this.handlers.notify(sub.chatId,
+                    `🎯 **Watched wallet sniped a new pair** on ${chain.name}\n\n` +
+                    `👤 \`${buyer}\`\n` +
+                    `🪙 \`${pair.token}\`\n` +
+                    `#${pair.buyers.length} buyer on ${pair.pool.dex}, block ${event.blockNumber} (pos ${event.transactionIndex})\n` +
+                    `🔗 [Transaction](${chain.explorerUrl}/tx/${event.txHash})\n\n` +
+                    `Send \`${chain.key} ${pair.token}\` for the full report`);
+            }
+        }
+
+        // Forget pairs that are old or already past their first N buyers
+        for (const [address, pair] of pairs) {
+            if (pair.expiresAt < Date.now() || pair.buyers.length >= this.options.walletFirstBuyers) {
+                pairs.delete(address);
+            }
+        }
+    }
+}
+
+module.exports = { LaunchMonitor, DEFAULT_OPTIONS };
@@ -0,0 +1,140 @@
+// Wallet profile: how an address behaves across the launches it bought early
+const DEFAULT_OPTIONS = {
+    launchBlocks: parseInt(process.env.WALLET_PROFILE_BLOCKS) || 5,  // "early" = bought within this many blocks of launch
+    maxTokens: parseInt(process.env.WALLET_PROFILE_TOKENS) || 10,    // most recent tokens looked at
+    maxTokenAge: 3 * 24 * 60 * 60                                    // seconds between a token's first transfer and the wallet's first receipt
+};
+
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+class WalletProfiler {
+    // source must provide chain, getWalletTokenTransfers(), getFirstTokenTransfer() and analyzeFirstBuyers()
+    constructor(source, options = {}) {
+        this.source = source;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+    }
+
+    // onProgress(text) and signal (AbortSignal) are optional, checked between tokens
+    async profile(wallet, { onProgress = null, signal = null } = {}) {
+        wallet = wallet.toLowerCase();
+        const transfers = await this.source.getWalletTokenTransfers(wallet);
+
+        // First receipt of each token, most recent tokens first
+        const firstReceipts = new Map();
+        for (const transfer of transfers) {
+            if (transfer.to !== wallet || transfer.contractAddress === this.source.chain.wrappedNative) continue;
+            const known = firstReceipts.get(transfer.contractAddress);
+            if (!known || transfer.blockNumber < known.blockNumber) {
+                firstReceipts.set(transfer.contractAddress, transfer);
+            }
+        }
+        const candidates = [...firstReceipts.values()]
+            .sort((a, b) => b.blockNumber - a.blockNumber)
+            .slice(0, this.options.maxTokens);
+
+        console.log(`👤 Profiling ${wallet}: ${firstReceipts.size} tokens received, checking ${candidates.length}`);
+
+        const launches = [];
+        for (const [index, receipt] of candidates.entries()) {
+            if (signal) signal.throwIfAborted();
+            if (onProgress) onProgress(`🪙 Checked ${index}/${candidates.length} tokens`);
+            const launch = await this.getLaunch(wallet, receipt);
+            if (launch) launches.push(launch);
+        }
+
+        return {
+            wallet,
+            chain: this.source.chain.key,
+            tokensReceived: firstReceipts.size,
+            tokensChecked: candidates.length,
+            launchBlocks: this.options.launchBlocks,
+            launches,
+            stats: this.summarize(launches)
+        };
+    }
+
+    // The wallet's buy of one token, if it was among the early buyers
+    async getLaunch(wallet, receipt) {
+        // Old tokens (stables, majors...) were not launched anywhere near the wallet's first receipt
+        const first = await this.source.getFirstTokenTransfer(receipt.contractAddress);
+        if (!first || receipt.timeStamp - first.timeStamp > this.options.maxTokenAge) return null;
+
+        let results;
+        try {
+            results = await this.source.analyzeFirstBuyers(receipt.contractAddress, 100);
+        } catch (error) {
+            console.warn(`⚠️ Profile: no analysis for ${receipt.contractAddress}:`, error.message);
+            return null;
+        }
+
+        const buyer = results.buyers.find(candidate => candidate.wallet === wallet);
+        if (!buyer) return null;
+
+        const launchBlock = results.liquidityEvents.length > 0
+            ? Math.min(...results.liquidityEvents.map(event => event.blockNumber))
+            : results.buyers[0].blockNumber;
+        const blocksAfterLaunch = buyer.blockNumber - launchBlock;
+        if (blocksAfterLaunch > this.options.launchBlocks) return null;
+
+        const bundle = results.bundles.find(candidate => candidate.ranks.includes(buyer.rank)) || null;
+        const holding = buyer.holding || null;
+
+        return {
+            contractAddress: results.contractAddress,
+            symbol: results.tokenInfo.symbol,
+            rank: buyer.rank,
+            timestamp: buyer.timestamp,
+            blockNumber: buyer.blockNumber,
+            blocksAfterLaunch,
+            transactionIndex: buyer.transactionIndex,
+            supplyPercent: buyer.supplyPercent,
+            gasPrice: buyer.gasPrice,
+            priorityFee: buyer.priorityFee,
+            bribe: buyer.bribe,
+            totalCost: buyer.totalCost,
+            nativeSpent: buyer.nativeSpent,
+            bundleId: bundle ? bundle.id : null,
+            bundleConfidence: bundle ? bundle.confidence : null,
+            status: holding ? holding.status : 'unknown',
+            realized: holding ? holding.realized : 0,
+            pnl: holding ? holding.pnl : null,
+            // Time to first sell; positions never sold have no hold time yet
+            holdTime: holding && holding.firstSellAt && buyer.timestamp ? holding.firstSellAt - buyer.timestamp : null
+        };
+    }
+
+    summarize(launches) {
+        const exited = launches.filter(launch => launch.status === 'exited' && launch.nativeSpent !== null);
+        const pnls = launches.filter(launch => launch.pnl !== null);
+
+        return {
+            launches: launches.length,
+            medianPosition: median(launches.map(launch => launch.transactionIndex)),
+            averageBlocksAfterLaunch: average(launches.map(launch => launch.blocksAfterLaunch)),
+            averageGasPrice: average(launches.map(launch => launch.gasPrice).filter(gasPrice => gasPrice > 0)),
+            averagePriorityFee: average(launches.map(launch => launch.priorityFee).filter(priorityFee => priorityFee > 0)),
+            bribed: launches.filter(launch => launch.bribe > 0).length,
+            averageBribe: average(launches.map(launch => launch.bribe).filter(bribe => bribe > 0)),
+            bundled: launches.filter(launch => launch.bundleId !== null).length,
+            averageHoldTime: average(launches.map(launch => launch.holdTime).filter(holdTime => holdTime !== null)),
+            stillHolding: launches.filter(launch => launch.status === 'holding' || launch.status === 'partial').length,
+            spent: launches.reduce((sum, launch) => sum + (launch.nativeSpent || 0) + (launch.totalCost || 0), 0),
+            realized: launches.reduce((sum, launch) => sum + launch.realized, 0),
+            // Closed positions only: proceeds minus what getting in cost
+            realizedPnl: exited.reduce((sum, launch) => sum + launch.realized - launch.nativeSpent - (launch.totalCost || 0), 0),
+            closedPositions: exited.length,
+            pnl: pnls.length > 0 ? pnls.reduce((sum, launch) => sum + launch.pnl, 0) : null
+        };
+    }
+}
+
+module.exports = { WalletProfiler, DEFAULT_OPTIONS };
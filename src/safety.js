@@ -0,0 +1,235 @@
+const { ethers } = require('ethers');
+
+// Token safety scan: simulated buy/sell taxes, ownership, risky admin functions and LP lock status
+const DEFAULT_OPTIONS = {
+    probeShare: 1000n,   // simulated buy = pool's token balance / probeShare
+    honeypotTax: 50      // a sell tax at or above this (%) is as good as a honeypot
+};
+
+const TOKEN_ABI = [
+    'function transfer(address to, uint256 amount) returns (bool)',
+    'function balanceOf(address owner) view returns (uint256)',
+    'function totalSupply() view returns (uint256)',
+    'function owner() view returns (address)',
+    'function getOwner() view returns (address)'
+];
+const TOKEN_IFACE = new ethers.Interface(TOKEN_ABI);
+
+// Fresh address with no history: no whitelist or fee exemption applies to it
+const PROBE_WALLET = ethers.getAddress(ethers.dataSlice(ethers.id('walletsorder.safety.probe'), 12));
+const DEAD_ADDRESS = '0x000000000000000000000000000000000000dead';
+const BURN_ADDRESSES = [ethers.ZeroAddress, DEAD_ADDRESS];
+
+// Non-view functions whose name gives away what the owner can do to holders
+const FUNCTION_PATTERNS = {
+    blacklist: /black|block|bots?(?![a-z])|sniper|ban/i,
+    limits: /max(tx|transaction|wallet|holding|buy|sell)|limit/i,
+    trading: /(enable|open|start|set)trading|tradingopen|tradingenabled|^launch$/i,
+    fees: /(set|update|change).*(fee|tax)/i
+};
+
+// Error(string) / Panic(uint256) message of a revert, or just "reverted"
+function revertReason(data) {
+    try {
+        const parsed = TOKEN_IFACE.parseError(data);
+        return parsed ? parsed.args.join(', ') : 'reverted';
+    } catch (error) {
+        return 'reverted';
+    }
+}
+
+function toAmount(call) {
+    return call.ok && call.returnData !== '0x' ? BigInt(call.returnData) : 0n;
+}
+
+// Share of `sent` lost on the way to `received`, in %
+function taxPercent(sent, received) {
+    if (sent === 0n) return null;
+    const kept = Number((received * 10000n) / sent) / 100;
+    return Math.min(100, Math.max(0, 100 - kept));
+}
+
+class SafetyScanner {
+    // source must provide chain, provider and getContractSource(address) (null on failure)
+    constructor(source, options = {}) {
+        this.source = source;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        // null: no locker list for the chain, locked shares are unknown
+        this.lockers = source.chain.lockers ? new Map(Object.entries(source.chain.lockers)) : null;
+    }
+
+    async scan(contractAddress, pools) {
+        console.log(`🛡️ Safety scan for ${contractAddress}...`);
+        const token = new ethers.Contract(contractAddress, TOKEN_ABI, this.source.provider);
+
+        // Simulate against the pool holding the most tokens
+        const poolBalances = await Promise.all(pools.map(pool => token.balanceOf(pool.address).catch(() => 0n)));
+        const deepest = pools
+            .map((pool, index) => ({ pool, balance: poolBalances[index] }))
+            .sort((a, b) => (b.balance > a.balance ? 1 : b.balance < a.balance ? -1 : 0))[0];
+
+        const [simulation, owner, source, liquidity] = await Promise.all([
+            deepest && deepest.balance > 0n ? this.simulate(contractAddress, deepest.pool, deepest.balance) : null,
+            this.getOwner(token),
+            this.getSource(contractAddress),
+            Promise.all(pools.map(pool => this.getLiquidityLock(pool)))
+        ]);
+
+        return { updatedAt: new Date(), simulation, owner, source, liquidity };
+    }
+
+    // Buy = the pool sends tokens to a fresh wallet, sell = the wallet sends them back, as the token's own
+    // transfer() sees them on a swap. Needs eth_simulateV1 to chain calls; plain eth_call only tells if a buy reverts
+    async simulate(contractAddress, pool, poolBalance) {
+        const amount = poolBalance / this.options.probeShare;
+        const transfer = (from, to, value) => ({ from, to: contractAddress, data: TOKEN_IFACE.encodeFunctionData('transfer', [to, value]) });
+        const balanceOf = wallet => ({ from: PROBE_WALLET, to: contractAddress, data: TOKEN_IFACE.encodeFunctionData('balanceOf', [wallet]) });
+        const result = {
+            pool: pool.address,
+            method: 'eth_simulateV1',
+            buyTax: null,
+            sellTax: null,
+            buyError: null,
+            sellError: null,
+            honeypot: null
+        };
+
+        let bought;
+        let received;
+        try {
+            [bought, received] = await this.simulateCalls([
+                transfer(pool.address, PROBE_WALLET, amount),
+                balanceOf(PROBE_WALLET)
+            ]);
+        } catch (error) {
+            console.warn(`⚠️ eth_simulateV1 unavailable (${error.message}), falling back to eth_call`);
+            result.method = 'eth_call';
+            try {
+                await this.source.provider.call(transfer(pool.address, PROBE_WALLET, amount));
+            } catch (callError) {
+                result.buyError = callError.reason || revertReason(callError.data);
+            }
+            return result;
+        }
+
+        if (!bought.ok) {
+            result.buyError = bought.error;
+            return result;
+        }
+        const receivedAmount = toAmount(received);
+        result.buyTax = taxPercent(amount, receivedAmount);
+        if (receivedAmount === 0n) {
+            result.honeypot = true;
+            return result;
+        }
+
+        // The buy was measured: a failing sell batch leaves only the sell unknown
+        try {
+            const [, before, sold, after] = await this.simulateCalls([
+                transfer(pool.address, PROBE_WALLET, amount),
+                balanceOf(pool.address),
+                transfer(PROBE_WALLET, pool.address, receivedAmount),
+                balanceOf(pool.address)
+            ]);
+            if (!sold.ok) {
+                result.sellError = sold.error;
+                result.honeypot = true;
+                return result;
+            }
+            result.sellTax = taxPercent(receivedAmount, toAmount(after) - toAmount(before));
+            result.honeypot = result.sellTax >= this.options.honeypotTax;
+        } catch (error) {
+            console.warn(`⚠️ Sell simulation failed for ${contractAddress}:`, error.message);
+        }
+
+        return result;
+    }
+
+    async simulateCalls(calls) {
+        const blocks = await this.source.provider.send('eth_simulateV1', [{
+            blockStateCalls: [{ calls }],
+            validation: false
+        }, 'latest']);
+
+        return blocks[0].calls.map(call => ({
+            ok: call.status === '0x1',
+            returnData: call.returnData,
+            error: call.status === '0x1' ? null : (call.error && call.error.message) || revertReason(call.returnData)
+        }));
+    }
+
+    // null when the token has no owner() / getOwner()
+    async getOwner(token) {
+        for (const method of ['owner', 'getOwner']) {
+            try {
+                const address = (await token[method]()).toLowerCase();
+                return { address, renounced: BURN_ADDRESSES.includes(address) };
+            } catch (error) {
+                // Not implemented: try the next one
+            }
+        }
+        return null;
+    }
+
+    // Verified source flags; proxies are judged on their implementation. null when the explorer failed
+    async getSource(contractAddress) {
+        const contract = await this.source.getContractSource(contractAddress);
+        if (!contract) return null;
+
+        const proxy = contract.Proxy === '1' && ethers.isAddress(contract.Implementation);
+        const implementation = proxy ? await this.source.getContractSource(contract.Implementation) : contract;
+        if (!implementation) return null;
+
+        let abi;
+        try {
+            abi = JSON.parse(implementation.ABI);
+        } catch (error) {
+            // "Contract source code not verified"
+            return { verified: false, proxy, contractName: null, blacklist: [], limits: [], trading: [], fees: [] };
+        }
+
+        const functions = abi
+            .filter(item => item.type === 'function' && !['view', 'pure'].includes(item.stateMutability))
+            .map(item => item.name);
+        const matching = pattern => functions.filter(name => pattern.test(name));
+
+        return {
+            verified: true,
+            proxy,
+            contractName: implementation.ContractName || null,
+            blacklist: matching(FUNCTION_PATTERNS.blacklist),
+            limits: matching(FUNCTION_PATTERNS.limits),
+            trading: matching(FUNCTION_PATTERNS.trading),
+            fees: matching(FUNCTION_PATTERNS.fees)
+        };
+    }
+
+    // Share of the V2 LP tokens burned or sitting in a known locker. V3 positions are NFTs: not checked
+    async getLiquidityLock(pool) {
+        const lock = { pool: pool.address, dex: pool.dex, version: pool.version, burnedPercent: null, lockedPercent: null, lockers: [] };
+        if (pool.version !== 'v2') return lock;
+
+        try {
+            const pair = new ethers.Contract(pool.address, TOKEN_ABI, this.source.provider);
+            const lockerAddresses = this.lockers ? [...this.lockers.keys()] : [];
+            const [totalSupply, ...balances] = await Promise.all([
+                pair.totalSupply(),
+                ...[...BURN_ADDRESSES, ...lockerAddresses].map(holder => pair.balanceOf(holder))
+            ]);
+            if (totalSupply === 0n) return lock;
+
+            const share = balance => Number((balance * 1000000n) / totalSupply) / 10000;
+            const burned = balances.slice(0, BURN_ADDRESSES.length);
+            const locked = balances.slice(BURN_ADDRESSES.length);
+            lock.burnedPercent = share(burned.reduce((sum, balance) => sum + balance, 0n));
+            lock.lockedPercent = this.lockers ? share(locked.reduce((sum, balance) => sum + balance, 0n)) : null;
+            lock.lockers = lockerAddresses.filter((address, index) => locked[index] > 0n).map(address => this.lockers.get(address));
+        } catch (error) {
+            console.warn(`⚠️ LP lock check failed for ${pool.address}:`, error.message);
+        }
+
+        return lock;
+    }
+}
+
+module.exports = { SafetyScanner, DEFAULT_OPTIONS, PROBE_WALLET };
@@ -0,0 +1,115 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { DEFAULT_CHAIN, getChain } = require('./chains');
+const { DEFAULT_OPTIONS: BUNDLE_OPTIONS } = require('./bundles');
+const { LANGUAGES } = require('./i18n');
+
+function integer(min, max) {
+    return (value) => {
+        const parsed = Number(value);
+        return Number.isInteger(parsed) && parsed >= min && parsed <= max ? parsed : null;
+    };
+}
+
+function number(min, max) {
+    return (value) => {
+        const parsed = Number(value);
+        return value !== '' && Number.isFinite(parsed) && parsed >= min && parsed <= max ? parsed : null;
+    };
+}
+
+// What /settings can change: default, accepted values (hint) and parser (null = invalid)
+const SETTINGS = {
+    chain: {
+        default: DEFAULT_CHAIN,
+        hint: 'a chain key',
+        parse: value => (getChain(value) ? getChain(value).key : null)
+    },
+    pageSize: { default: 10, hint: '5-20', parse: integer(5, 20) },
+    maxBuyers: { default: 100, hint: '10-200', parse: integer(10, 200) },
+    gasTolerance: { default: BUNDLE_OPTIONS.gasTolerance, hint: '0-10 Gwei', parse: number(0, 10) },
+    priorityTolerance: { default: BUNDLE_OPTIONS.priorityTolerance, hint: '0-10 Gwei', parse: number(0, 10) },
+    language: {
+        default: 'en',
+        hint: LANGUAGES.join(', '),
+        parse: value => (LANGUAGES.includes(value.toLowerCase()) ? value.toLowerCase() : null)
+    }
+};
+
+const DEFAULTS = Object.fromEntries(Object.entries(SETTINGS).map(([key, setting]) => [key, setting.default]));
+
+// Per-chat overrides of the defaults and the allow-list, persisted as one JSON file
+class SettingsStore {
+    constructor(file) {
+        this.file = file;
+        this.data = { version: 1, chats: {}, allowed: [] };
+        this.saving = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            this.data = { ...this.data, ...JSON.parse(await fs.readFile(this.file, 'utf8')) };
+            console.log(`⚙️ Settings loaded: ${Object.keys(this.data.chats).length} chats, ${this.data.allowed.length} allowed IDs`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('⚠️ Settings read failed:', error.message);
+            }
+        }
+    }
+
+    // Chained so two /settings changes in flight never write the temp file at the same time
+    save() {
+        this.saving = this.saving.then(() => this.write());
+        return this.saving;
+    }
+
+    async write() {
+        const tempFile = `${this.file}.tmp`;
+        try {
+            await fs.mkdir(path.dirname(this.file), { recursive: true });
+            await fs.writeFile(tempFile, JSON.stringify(this.data, null, 2));
+            await fs.rename(tempFile, this.file);
+        } catch (error) {
+            console.warn('⚠️ Settings write failed:', error.message);
+        }
+    }
+
+    get(chatId) {
+        return { ...DEFAULTS, ...this.data.chats[chatId] };
+    }
+
+    // Validates and stores one setting, returns the parsed value (null = invalid or unknown key, left unchanged)
+    async set(chatId, key, rawValue) {
+        // Own keys only: `constructor` or `toString` are not settings
+        if (!Object.hasOwn(SETTINGS, key)) return null;
+        const value = SETTINGS[key].parse(String(rawValue).trim());
+        if (value === null) return null;
+
+        this.data.chats[chatId] = { ...this.data.chats[chatId], [key]: value };
+        await this.save();
+        return value;
+    }
+
+    async reset(chatId) {
+        delete this.data.chats[chatId];
+        await this.save();
+    }
+
+    async allow(id) {
+        id = String(id);
+        if (this.data.allowed.includes(id)) return false;
+        this.data.allowed.push(id);
+        await this.save();
+        return true;
+    }
+
+    async deny(id) {
+        id = String(id);
+        if (!this.data.allowed.includes(id)) return false;
+        this.data.allowed = this.data.allowed.filter(allowed => allowed !== id);
+        await this.save();
+        return true;
+    }
+}
+
+module.exports = { SettingsStore, SETTINGS, DEFAULTS };
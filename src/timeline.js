@@ -0,0 +1,228 @@
+const { ethers } = require('ethers');
+
+// Launch replay: every transaction of the first blocks that touches the token or its pools, decoded in block order
+const DEFAULT_OPTIONS = {
+    blocks: 3,                                                    // blocks shown from the first trade
+    maxBlocks: parseInt(process.env.TIMELINE_MAX_BLOCKS) || 10
+};
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const APPROVAL_TOPIC = ethers.id('Approval(address,address,uint256)');
+
+// Calls named even when the token source isn't verified: launch switches and the routers' usual entry points
+const KNOWN_FUNCTIONS = new ethers.Interface([
+    'function openTrading()',
+    'function enableTrading()',
+    'function enableTrading(uint256)',
+    'function startTrading()',
+    'function launch()',
+    'function setTrading(bool)',
+    'function setTradingEnabled(bool)',
+    'function removeLimits()',
+    'function renounceOwnership()',
+    'function approve(address,uint256)',
+    'function transfer(address,uint256)',
+    'function addLiquidityETH(address,uint256,uint256,uint256,address,uint256)',
+    'function swapExactETHForTokens(uint256,address[],address,uint256)',
+    'function swapETHForExactTokens(uint256,address[],address,uint256)',
+    'function swapExactETHForTokensSupportingFeeOnTransferTokens(uint256,address[],address,uint256)',
+    'function swapExactTokensForETH(uint256,uint256,address[],address,uint256)',
+    'function swapExactTokensForETHSupportingFeeOnTransferTokens(uint256,uint256,address[],address,uint256)',
+    'function execute(bytes,bytes[],uint256)',
+    'function execute(bytes,bytes[])',
+    'function multicall(uint256,bytes[])'
+]);
+
+// Token functions that switch trading on
+const TRADING_PATTERN = /trad|launch/i;
+
+// When a transaction does several things, the most telling one names it
+const KINDS = ['liquidity', 'trading', 'buy', 'sell', 'transfer', 'approve', 'call'];
+
+function gwei(value) {
+    return parseFloat(ethers.formatUnits(value, 'gwei'));
+}
+
+function topicAddress(topic) {
+    return ethers.dataSlice(topic, 12).toLowerCase();
+}
+
+class LaunchTimeline {
+    // source must provide chain, provider, parsePoolLog(), getContractSource() and getBlockBribes()
+    constructor(source, options = {}) {
+        this.source = source;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+    }
+
+    // launch: { contractAddress, tokenInfo, pools, liquidityBlock, tradingBlock }.
+    // onProgress(text) and signal (AbortSignal) are optional, checked between blocks
+    async build(launch, count = this.options.blocks, { onProgress = null, signal = null } = {}) {
+        const blockNumbers = this.selectBlocks(launch, count);
+        const methods = await this.getTokenMethods(launch.contractAddress);
+        console.log(`🎬 Timeline of ${launch.contractAddress}: blocks ${blockNumbers.join(', ')}`);
+
+        const blocks = [];
+        for (const [index, number] of blockNumbers.entries()) {
+            if (signal) signal.throwIfAborted();
+            if (onProgress) onProgress(`🧱 Decoding block ${number} (${index}/${blockNumbers.length})`);
+            blocks.push(await this.getBlock(launch, number, methods));
+        }
+
+        return {
+            contractAddress: launch.contractAddress,
+            tokenInfo: launch.tokenInfo,
+            liquidityBlock: launch.liquidityBlock,
+            tradingBlock: launch.tradingBlock,
+            blocks
+        };
+    }
+
+    // The liquidity block, then `count` blocks from the first trade (the same run when trading opened with the add)
+    selectBlocks({ liquidityBlock, tradingBlock }, count) {
+        const start = tradingBlock !== null ? tradingBlock : liquidityBlock;
+        const numbers = new Set(liquidityBlock !== null && liquidityBlock <= start ? [liquidityBlock] : []);
+        for (let i = 0; i < count; i++) {
+            numbers.add(start + i);
+        }
+        return [...numbers].sort((a, b) => a - b);
+    }
+
+    // Functions of the token's verified ABI, null when unverified
+    async getTokenMethods(contractAddress) {
+        const source = await this.source.getContractSource(contractAddress);
+        if (!source || !source.ABI || !source.ABI.startsWith('[')) return null;
+        try {
+            return new ethers.Interface(JSON.parse(source.ABI));
+        } catch (error) {
+            console.warn(`⚠️ Token ABI unreadable for ${contractAddress}:`, error.message);
+            return null;
+        }
+    }
+
+    // Function called, from the token ABI for calls to the token, else from the known ones; the selector when neither knows it
+    decodeMethod(tx, contractAddress, methods) {
+        if (!tx.data || tx.data.length < 10) return null;
+        const interfaces = methods && tx.to && tx.to.toLowerCase() === contractAddress ? [methods, KNOWN_FUNCTIONS] : [KNOWN_FUNCTIONS];
+        for (const iface of interfaces) {
+            try {
+                const parsed = iface.parseTransaction({ data: tx.data });
+                if (parsed) return parsed.name;
+            } catch (error) {
+                // Selector known but arguments not decodable: try the next interface
+            }
+        }
+        return tx.data.slice(0, 10);
+    }
+
+    // One block: its transactions touching the token or a pool (logs, target or calldata), decoded, in position order.
+    // A block that could not be fetched is kept with `missing` set
+    async getBlock(launch, number, methods) {
+        const { provider } = this.source;
+        const watched = [launch.contractAddress, ...launch.pools.map(pool => pool.address)];
+        const needles = watched.map(address => address.slice(2));
+
+        let block;
+        let logs;
+        try {
+            [block, logs] = await Promise.all([
+                provider.getBlock(number, true),
+                provider.getLogs({ address: watched, fromBlock: number, toBlock: number })
+            ]);
+        } catch (error) {
+            console.warn(`⚠️ Timeline block ${number} failed:`, error.message);
+        }
+        if (!block || !logs) {
+            return { number, missing: true, transactions: [] };
+        }
+
+        // Failed snipes leave no logs: the token or pool address in the target or calldata still gives them away
+        const touched = new Set(logs.map(log => log.transactionHash));
+        const transactions = block.prefetchedTransactions.filter(tx => touched.has(tx.hash) ||
+            (tx.to && watched.includes(tx.to.toLowerCase())) ||
+            needles.some(needle => tx.data.toLowerCase().includes(needle)));
+
+        const coinbase = block.miner.toLowerCase();
+        const [receipts, bribes] = await Promise.all([
+            Promise.all(transactions.map(tx => provider.getTransactionReceipt(tx.hash).catch((error) => {
+                console.warn(`⚠️ Receipt failed for ${tx.hash}:`, error.message);
+                return null;
+            }))),
+            this.source.getBlockBribes(number, coinbase)
+        ]);
+
+        return {
+            number,
+            timestamp: new Date(block.timestamp * 1000),
+            baseFee: block.baseFeePerGas !== null ? gwei(block.baseFeePerGas) : null,
+            builder: coinbase,
+            transactionCount: block.transactions.length,
+            transactions: transactions
+                .map((tx, index) => this.decode(launch, tx, receipts[index], block, bribes, methods))
+                .sort((a, b) => a.position - b.position)
+        };
+    }
+
+    decode(launch, tx, receipt, block, bribes, methods) {
+        const { contractAddress, tokenInfo, pools } = launch;
+        const poolsByAddress = new Map(pools.map(pool => [pool.address, pool]));
+        const amount = value => parseFloat(ethers.formatUnits(value, tokenInfo.decimals));
+        const baseFee = block.baseFeePerGas || 0n;
+        const gasPrice = receipt ? receipt.gasPrice : tx.gasPrice;
+        const method = this.decodeMethod(tx, contractAddress, methods);
+
+        const entry = {
+            hash: tx.hash,
+            position: tx.index,
+            from: tx.from.toLowerCase(),
+            to: tx.to ? tx.to.toLowerCase() : null,
+            method,
+            status: receipt ? (receipt.status === 1 ? 'success' : 'reverted') : null,
+            gasPrice: gasPrice !== null ? gwei(gasPrice) : null,
+            priorityFee: gasPrice !== null ? gwei(gasPrice > baseFee ? gasPrice - baseFee : 0n) : null,
+            gasUsed: receipt ? Number(receipt.gasUsed) : null,
+            bribe: bribes ? bribes.get(tx.hash.toLowerCase()) || 0 : null,
+            actions: [],
+            missing: [...(receipt ? [] : ['receipt']), ...(bribes ? [] : ['bribe'])]
+        };
+
+        if (entry.to === contractAddress && method && TRADING_PATTERN.test(method)) {
+            entry.actions.push({ type: 'trading', method });
+        }
+
+        for (const log of receipt ? receipt.logs : []) {
+            const address = log.address.toLowerCase();
+            const pool = poolsByAddress.get(address);
+
+            if (pool) {
+                const event = this.source.parsePoolLog(log, pool);
+                if (!event) continue;
+                const quoteAmount = parseFloat(ethers.formatUnits(event.quoteAmount, pool.quoteDecimals));
+                entry.actions.push(event.type === 'mint'
+                    ? { type: 'liquidity', tokenAmount: amount(event.tokenAmount), quoteAmount, quoteSymbol: pool.quoteSymbol }
+                    : { type: event.type, recipient: event.recipient, tokenAmount: amount(event.tokenAmount), quoteAmount, quoteSymbol: pool.quoteSymbol });
+                continue;
+            }
+            if (address !== contractAddress) continue;
+
+            if (log.topics[0] === TRANSFER_TOPIC) {
+                const from = topicAddress(log.topics[1]);
+                const to = topicAddress(log.topics[2]);
+                // Moves in and out of the pools are the swaps and adds themselves, mints are the deployment
+                if (poolsByAddress.has(from) || poolsByAddress.has(to) || from === ethers.ZeroAddress) continue;
+                entry.actions.push({ type: 'transfer', from, to, tokenAmount: amount(BigInt(log.data)) });
+            } else if (log.topics[0] === APPROVAL_TOPIC) {
+                entry.actions.push({ type: 'approve', spender: topicAddress(log.topics[2]) });
+            }
+        }
+
+        if (entry.actions.length === 0 && entry.status === 'success' && entry.to === contractAddress && method) {
+            entry.actions.push({ type: 'call', method });
+        }
+
+        const types = entry.actions.map(action => action.type);
+        entry.kind = entry.status === 'reverted' ? 'reverted' : KINDS.find(kind => types.includes(kind)) || 'other';
+        return entry;
+    }
+}
+
+module.exports = { LaunchTimeline, DEFAULT_OPTIONS };
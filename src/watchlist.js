@@ -0,0 +1,104 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Token and wallet subscriptions per chat, persisted as one JSON file
+class WatchlistStore {
+    constructor(file) {
+        this.file = file;
+        this.data = { version: 1, tokens: [], wallets: [], lastBlocks: {} };
+        this.saving = Promise.resolve();
+        this.savedAt = 0;
+    }
+
+    async load() {
+        try {
+            this.data = { ...this.data, ...JSON.parse(await fs.readFile(this.file, 'utf8')) };
+            console.log(`👀 Watchlist loaded: ${this.data.tokens.length} tokens, ${this.data.wallets.length} wallets`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn('⚠️ Watchlist read failed:', error.message);
+            }
+        }
+    }
+
+    // Saves run one after another: overlapping ones would share the temp file and clobber each other
+    save() {
+        this.saving = this.saving.then(() => this.write());
+        return this.saving;
+    }
+
+    async write() {
+        const tempFile = `${this.file}.tmp`;
+        try {
+            await fs.mkdir(path.dirname(this.file), { recursive: true });
+            await fs.writeFile(tempFile, JSON.stringify(this.data, null, 2));
+            await fs.rename(tempFile, this.file);
+            this.savedAt = Date.now();
+        } catch (error) {
+            console.warn('⚠️ Watchlist write failed:', error.message);
+        }
+    }
+
+    async addToken(chatId, chain, address, pools) {
+        address = address.toLowerCase();
+        if (this.data.tokens.some(sub => sub.chatId === chatId && sub.chain === chain && sub.address === address)) {
+            return false;
+        }
+
+        this.data.tokens.push({ chatId, chain, address, pools, status: 'waiting', tradingBlock: null, addedAt: new Date().toISOString() });
+        await this.save();
+        return true;
+    }
+
+    async addWallet(chatId, chain, wallet) {
+        wallet = wallet.toLowerCase();
+        if (this.data.wallets.some(sub => sub.chatId === chatId && sub.chain === chain && sub.wallet === wallet)) {
+            return false;
+        }
+
+        this.data.wallets.push({ chatId, chain, wallet, addedAt: new Date().toISOString() });
+        await this.save();
+        return true;
+    }
+
+    // Removes token and wallet subscriptions of this chat for the address, returns how many
+    async remove(chatId, address) {
+        address = address.toLowerCase();
+        const before = this.data.tokens.length + this.data.wallets.length;
+        this.data.tokens = this.data.tokens.filter(sub => !(sub.chatId === chatId && sub.address === address));
+        this.data.wallets = this.data.wallets.filter(sub => !(sub.chatId === chatId && sub.wallet === address));
+        const removed = before - this.data.tokens.length - this.data.wallets.length;
+        if (removed > 0) await this.save();
+        return removed;
+    }
+
+    listForChat(chatId) {
+        return {
+            tokens: this.data.tokens.filter(sub => sub.chatId === chatId),
+            wallets: this.data.wallets.filter(sub => sub.chatId === chatId)
+        };
+    }
+
+    tokensForChain(chainKey) {
+        return this.data.tokens.filter(sub => sub.chain === chainKey && sub.status !== 'reported');
+    }
+
+    walletsForChain(chainKey) {
+        return this.data.wallets.filter(sub => sub.chain === chainKey);
+    }
+
+    chainsInUse() {
+        return [...new Set([...this.data.tokens.filter(sub => sub.status !== 'reported'), ...this.data.wallets].map(sub => sub.chain))];
+    }
+
+    getLastBlock(chainKey) {
+        return this.data.lastBlocks[chainKey] ?? null;
+    }
+
+    // Kept in memory until the next save
+    setLastBlock(chainKey, blockNumber) {
+        this.data.lastBlocks[chainKey] = blockNumber;
+    }
+}
+
+module.exports = { WatchlistStore };
@@ -0,0 +1,277 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { getChain } = require('../src/chains');
+const { SimpleTokenAnalyzer } = require('../src/analyzer');
+const { FixtureClient } = require('../src/fixtures');
+const { AnalysisCache } = require('../src/cache');
+const { LaunchBuilder, address, TOKEN } = require('./helpers/launch');
+
+const LAUNCH = 19000010;
+
+before(() => {
+    // The analyzer narrates every step; keep the test report readable
+    for (const method of ['log', 'warn', 'error']) {
+        console[method] = () => {};
+    }
+});
+
+async function analyze(fixture, limit = 100) {
+    const client = new FixtureClient(fixture);
+    const analyzer = new SimpleTokenAnalyzer(getChain(fixture.chain), null, { client });
+    const results = await analyzer.analyzeFirstBuyers(TOKEN, limit);
+    return { results, client };
+}
+
+test('clean launch: one buyer per wallet, in order, no bundle', async () => {
+    const launch = new LaunchBuilder().token().launch({ block: LAUNCH, tokens: 800000000, eth: 5 });
+    launch.buy({ block: LAUNCH + 2, index: 3, wallet: address('buyer', 1), tokens: 10000000, eth: 0.1, gasPrice: 25 });
+    launch.buy({ block: LAUNCH + 4, index: 7, wallet: address('buyer', 2), tokens: 5000000, eth: 0.05, gasPrice: 40 });
+    launch.buy({ block: LAUNCH + 9, index: 1, wallet: address('buyer', 3), tokens: 2000000, eth: 0.02, gasPrice: 18 });
+    launch.buy({ block: LAUNCH + 12, index: 4, wallet: address('buyer', 1), tokens: 1000000, eth: 0.01 });
+
+    const { results } = await analyze(launch.build());
+
+    assert.deepEqual(results.buyers.map(buyer => buyer.wallet), [address('buyer', 1), address('buyer', 2), address('buyer', 3)]);
+    assert.deepEqual(results.buyers.map(buyer => buyer.rank), [1, 2, 3]);
+    assert.equal(results.buyers[0].amount, 10000000);
+    assert.equal(results.buyers[0].supplyPercent, 1);
+    assert.equal(results.buyers[0].nativeSpent, 0.1);
+    assert.equal(results.buyers[1].gasPrice, 40);
+    assert.equal(results.buyers[1].priorityFee, 30);
+    assert.equal(results.bundles.length, 0);
+    assert.equal(results.partial, null);
+    assert.equal(results.deployer, address('deployer'));
+});
+
+test('bundle in the launch block: consecutive same-gas buys funded by one wallet', async () => {
+    const launch = new LaunchBuilder().token().launch({ block: LAUNCH, index: 0, tokens: 800000000, eth: 5 });
+    const funder = address('funder');
+    for (let i = 1; i <= 3; i++) {
+        launch.fund({ block: LAUNCH - 5, wallet: address('bundle', i), from: funder });
+        launch.buy({ block: LAUNCH, index: i, wallet: address('bundle', i), tokens: 20000000, eth: 0.3, gasPrice: 50, tip: 40, bribe: i === 1 ? 0.5 : 0 });
+    }
+    launch.buy({ block: LAUNCH + 3, index: 2, wallet: address('buyer', 1), tokens: 1000000, eth: 0.02 });
+
+    const { results } = await analyze(launch.build());
+
+    assert.equal(results.buyers.length, 4);
+    assert.equal(results.bundles.length, 1);
+    const [bundle] = results.bundles;
+    assert.deepEqual(bundle.ranks, [1, 2, 3]);
+    assert.ok(bundle.confidence >= 80, `confidence ${bundle.confidence}`);
+    assert.ok(bundle.reasons.some(reason => reason.includes('funded by')));
+    assert.ok(bundle.reasons.some(reason => reason.includes('consecutive positions 1-3')));
+
+    assert.equal(results.buyers[0].bribe, 0.5);
+    assert.equal(results.buyers[0].totalCost, results.buyers[0].gasCost + 0.5);
+    assert.equal(results.buyers[1].bribe, 0);
+    assert.deepEqual(results.fundingGroups.map(group => group.funder), [funder]);
+    assert.deepEqual(results.fundingGroups[0].ranks, [1, 2, 3]);
+});
+
+test('buyers funded from the same exchange wallet are not a bundle', async () => {
+    const launch = new LaunchBuilder().token().launch({ block: LAUNCH, index: 0, tokens: 800000000, eth: 5 });
+    const binance = '0x28c6c06298d514db089934071355e5743bf21d60';
+    launch.fund({ block: LAUNCH - 5, wallet: address('buyer', 1), from: binance });
+    launch.fund({ block: LAUNCH - 4, wallet: address('buyer', 2), from: binance });
+    launch.buy({ block: LAUNCH, index: 2, wallet: address('buyer', 1), tokens: 5000000, eth: 0.05, gasPrice: 30 });
+    launch.buy({ block: LAUNCH, index: 6, wallet: address('buyer', 2), tokens: 5000000, eth: 0.05, gasPrice: 45 });
+
+    const { results } = await analyze(launch.build());
+
+    assert.deepEqual(results.buyers.map(buyer => buyer.funding.label), ['Binance 14', 'Binance 14']);
+    assert.deepEqual(results.buyers.map(buyer => buyer.funder), [null, null]);
+    assert.equal(results.bundles.length, 0);
+    assert.equal(results.fundingGroups.length, 0);
+});
+
+test('chains without an exchange list: a shared funder is unknown, the deployer still counts', async () => {
+    const launch = new LaunchBuilder({ chain: 'base' }).token().launch({ block: LAUNCH, index: 0, tokens: 800000000, eth: 5 });
+    launch.fund({ block: LAUNCH - 5, wallet: address('buyer', 1), from: address('hot wallet') });
+    launch.fund({ block: LAUNCH - 4, wallet: address('buyer', 2), from: address('hot wallet') });
+    launch.fund({ block: LAUNCH - 3, wallet: address('buyer', 3), from: address('deployer') });
+    launch.buy({ block: LAUNCH, index: 2, wallet: address('buyer', 1), tokens: 5000000, eth: 0.05, gasPrice: 30 });
+    launch.buy({ block: LAUNCH, index: 6, wallet: address('buyer', 2), tokens: 5000000, eth: 0.05, gasPrice: 45 });
+    launch.buy({ block: LAUNCH + 2, index: 1, wallet: address('buyer', 3), tokens: 5000000, eth: 0.05 });
+
+    const { results } = await analyze(launch.build());
+
+    assert.deepEqual(results.buyers.map(buyer => buyer.funder), [null, null, null]);
+    assert.equal(results.bundles.length, 0);
+    assert.deepEqual(results.fundingGroups.map(group => [group.ranks, group.fromDeployer]), [[[3], true]]);
+});
+
+test('bundle in one transaction: every wallet of the bundler tx is a buyer', async () => {
+    const launch = new LaunchBuilder().token().launch({ block: LAUNCH, index: 0, tokens: 800000000, eth: 5 });
+    launch.bundle({
+        block: LAUNCH,
+        index: 1,
+        from: address('bundler'),
+        buys: [1, 2, 3, 4].map(i => ({ wallet: address('bundle', i), tokens: 10000000, eth: 0.1 }))
+    });
+
+    const { results } = await analyze(launch.build());
+
+    assert.deepEqual(results.buyers.map(buyer => buyer.wallet), [1, 2, 3, 4].map(i => address('bundle', i)));
+    assert.equal(new Set(results.buyers.map(buyer => buyer.txHash)).size, 1);
+    assert.equal(results.bundles.length, 1);
+    assert.ok(results.bundles[0].reasons.includes('4 wallets in one transaction'));
+});
+
+test('liquidity first: the add is a liquidity event, the launch block is where it happened', async () => {
+    const launch = new LaunchBuilder().token().launch({ block: LAUNCH, index: 5, tokens: 800000000, eth: 5 });
+    // Trading opens later; two same-gas neighbours there are not in the launch block
+    launch.buy({ block: LAUNCH + 20, index: 0, wallet: address('buyer', 1), tokens: 10000000, eth: 0.1, gasPrice: 30 });
+    launch.buy({ block: LAUNCH + 20, index: 1, wallet: address('buyer', 2), tokens: 10000000, eth: 0.1, gasPrice: 30 });
+
+    const { results } = await analyze(launch.build());
+
+    assert.equal(results.liquidityEvents.length, 1);
+    assert.equal(results.liquidityEvents[0].blockNumber, LAUNCH);
+    assert.equal(results.liquidityEvents[0].tokenAmount, 800000000);
+    assert.equal(results.liquidityEvents[0].quoteAmount, 5);
+    assert.ok(results.buyers.every(buyer => buyer.wallet !== address('deployer')));
+    assert.equal(results.buyers[0].blockNumber, LAUNCH + 20);
+    assert.equal(results.bundles.length, 1);
+    assert.ok(results.bundles[0].reasons.every(reason => !reason.includes('launch block')));
+    assert.equal(results.pools.length, 1);
+    assert.equal(results.pools[0].createdBlock, LAUNCH);
+});
+
+test('airdrops are plain transfers, their recipients are not buyers until they buy', async () => {
+    const launch = new LaunchBuilder().token();
+    const recipients = [1, 2, 3].map(i => address('airdrop', i));
+    launch.airdrop({ block: LAUNCH - 3, index: 0, to: recipients, tokens: 1000000 });
+    launch.launch({ block: LAUNCH, tokens: 800000000, eth: 5 });
+    launch.buy({ block: LAUNCH + 1, index: 2, wallet: address('buyer', 1), tokens: 5000000, eth: 0.05 });
+    launch.buy({ block: LAUNCH + 2, index: 4, wallet: recipients[1], tokens: 3000000, eth: 0.03 });
+    launch.airdrop({ block: LAUNCH + 3, index: 1, to: [address('airdrop', 4)], tokens: 500000 });
+
+    const { results } = await analyze(launch.build());
+
+    assert.deepEqual(results.buyers.map(buyer => buyer.wallet), [address('buyer', 1), recipients[1]]);
+    assert.equal(results.buyers[1].amount, 3000000);
+    const airdropped = results.transfers.filter(transfer => transfer.from === address('deployer'));
+    assert.deepEqual(airdropped.map(transfer => transfer.to), [...recipients, address('airdrop', 4)]);
+    assert.ok(airdropped.every(transfer => transfer.amount > 0));
+    // The recipient's balance includes the airdrop on top of what it bought
+    assert.equal(results.buyers[1].holding.balance, 4000000);
+    assert.equal(results.buyers[1].holding.status, 'holding');
+});
+
+test('fee-on-transfer: amounts are what the wallet received, the tax kept by the token contract is not a buyer', async () => {
+    const launch = new LaunchBuilder().token({ symbol: 'TAX' }).launch({ block: LAUNCH, tokens: 800000000, eth: 5 });
+    launch.buy({ block: LAUNCH + 1, index: 1, wallet: address('buyer', 1), tokens: 10000000, eth: 0.1, tax: 5 });
+    launch.buy({ block: LAUNCH + 2, index: 1, wallet: address('buyer', 2), tokens: 20000000, eth: 0.2, tax: 5 });
+
+    const { results } = await analyze(launch.build());
+
+    assert.deepEqual(results.buyers.map(buyer => buyer.wallet), [address('buyer', 1), address('buyer', 2)]);
+    assert.ok(results.buyers.every(buyer => buyer.wallet !== results.contractAddress));
+    assert.equal(results.buyers[0].amount, 9500000);
+    assert.equal(results.buyers[0].taxAmount, 500000);
+    assert.equal(results.buyers[0].supplyPercent, 0.95);
+    assert.equal(results.buyers[0].holding.balance, 9500000);
+    assert.equal(results.transfers.length, 0);
+
+    assert.equal(results.taxes.buys, 2);
+    assert.equal(results.taxes.taken, 1500000);
+    assert.equal(results.taxes.averageRate, 5);
+    assert.deepEqual(results.taxes.recipients, [{ address: TOKEN, amount: 1500000, isToken: true }]);
+});
+
+test('fee-on-transfer: a tax wallet taking its share is reported as the tax recipient', async () => {
+    const launch = new LaunchBuilder().token().launch({ block: LAUNCH, tokens: 800000000, eth: 5 });
+    launch.buy({ block: LAUNCH + 1, index: 1, wallet: address('buyer', 1), tokens: 10000000, eth: 0.1, tax: 10, taxWallet: address('marketing') });
+
+    const { results } = await analyze(launch.build());
+
+    assert.deepEqual(results.buyers.map(buyer => buyer.wallet), [address('buyer', 1)]);
+    assert.equal(results.buyers[0].amount, 9000000);
+    assert.deepEqual(results.taxes.recipients, [{ address: address('marketing'), amount: 1000000, isToken: false }]);
+    assert.equal(results.buyers[0].holding.status, 'holding');
+});
+
+test('supply share is taken at the buy block: later burns do not inflate it', async () => {
+    const launch = new LaunchBuilder().token().launch({ block: LAUNCH, tokens: 800000000, eth: 5 });
+    launch.buy({ block: LAUNCH + 1, index: 1, wallet: address('buyer', 1), tokens: 10000000, eth: 0.1 });
+    launch.burn({ block: LAUNCH + 3, index: 0, wallet: address('deployer'), tokens: 150000000 });
+    launch.buy({ block: LAUNCH + 5, index: 1, wallet: address('buyer', 2), tokens: 8500000, eth: 0.1 });
+
+    const { results } = await analyze(launch.build());
+
+    assert.equal(results.tokenInfo.totalSupply, 850000000);
+    assert.equal(results.buyers[0].supplyAtBuy, 1000000000);
+    assert.equal(results.buyers[0].supplyPercent, 1);
+    assert.equal(results.buyers[1].supplyAtBuy, 850000000);
+    assert.equal(results.buyers[1].supplyPercent, 1);
+    assert.equal(results.taxes, null);
+    assert.equal(results.partial, null);
+});
+
+test('limit: stops at the requested number of buyers', async () => {
+    const launch = new LaunchBuilder().token().launch({ block: LAUNCH, tokens: 800000000, eth: 5 });
+    for (let i = 1; i <= 6; i++) {
+        launch.buy({ block: LAUNCH + i, index: 1, wallet: address('buyer', i), tokens: 1000000, eth: 0.01, gasPrice: 20 + i });
+    }
+
+    const { results } = await analyze(launch.build(), 4);
+
+    assert.deepEqual(results.buyers.map(buyer => buyer.rank), [1, 2, 3, 4]);
+});
+
+test('fixture replay: missing data is reported as missing, not as zero', async () => {
+    const launch = new LaunchBuilder().token().launch({ block: LAUNCH, tokens: 800000000, eth: 5 });
+    launch.buy({ block: LAUNCH + 1, index: 1, wallet: address('buyer', 1), tokens: 1000000, eth: 0.01 });
+    const fixture = launch.build();
+    const buyTx = fixture.rpc.receipts[fixture.rpc.receipts.length - 1].transactionHash;
+    fixture.rpc.receipts = fixture.rpc.receipts.filter(receipt => receipt.transactionHash !== buyTx);
+
+    const { results, client } = await analyze(fixture);
+
+    assert.deepEqual(results.buyers[0].missing, ['gas']);
+    assert.equal(results.buyers[0].gasPrice, null);
+    assert.deepEqual(results.partial, { gas: 1 });
+    assert.ok(client.misses.some(miss => miss.method === 'eth_getTransactionReceipt' && miss.params[0] === buyTx));
+});
+
+test('fixture replay: without historical state the current supply stands in, flagged as missing', async () => {
+    const launch = new LaunchBuilder().token().launch({ block: LAUNCH, tokens: 800000000, eth: 5 });
+    launch.buy({ block: LAUNCH + 1, index: 1, wallet: address('buyer', 1), tokens: 1000000, eth: 0.01 });
+    const fixture = launch.build();
+    // A pruned node: historical reads fail
+    fixture.rpc.calls = fixture.rpc.calls.map(call => (call.blockTag !== undefined
+        ? { to: call.to, data: call.data, blockTag: call.blockTag, error: { code: -32000, message: 'missing trie node' } }
+        : call));
+
+    const { results } = await analyze(fixture);
+
+    assert.equal(results.buyers[0].supplyAtBuy, null);
+    assert.equal(results.buyers[0].supplyPercent, 0.1);
+    assert.deepEqual(results.partial, { supply: 1 });
+});
+
+test('cached result: served as stored, with no call to the node or the explorer', async () => {
+    const launch = new LaunchBuilder().token().launch({ block: LAUNCH, tokens: 800000000, eth: 5 });
+    launch.buy({ block: LAUNCH + 1, index: 1, wallet: address('buyer', 1), tokens: 1000000, eth: 0.01 });
+    launch.buy({ block: LAUNCH + 2, index: 1, wallet: address('buyer', 2), tokens: 1000000, eth: 0.01 });
+    const fixture = launch.build();
+    const cache = new AnalysisCache(await fs.mkdtemp(path.join(os.tmpdir(), 'cache-')));
+
+    const reader = () => {
+        const client = new FixtureClient({ ...fixture, rpc: { blocks: [], transactions: [], receipts: [], logs: [], calls: [] } });
+        return { client, analyzer: new SimpleTokenAnalyzer(getChain('ethereum'), cache, { client }) };
+    };
+    const before = reader();
+    assert.equal(await before.analyzer.getCachedResult(TOKEN), null);
+
+    await new SimpleTokenAnalyzer(getChain('ethereum'), cache, { client: new FixtureClient(fixture) }).analyzeFirstBuyers(TOKEN, 100);
+    const { client, analyzer } = reader();
+    const results = await analyzer.getCachedResult(TOKEN, 1);
+
+    assert.deepEqual(results.buyers.map(buyer => buyer.wallet), [address('buyer', 1)]);
+    assert.deepEqual(client.misses, []);
+});
@@ -0,0 +1,54 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createApiRouter } = require('../src/api');
+const { JobQueue } = require('../src/jobs');
+
+before(() => {
+    for (const method of ['log', 'warn', 'error']) {
+        console[method] = () => {};
+    }
+});
+
+const KEY = 'test-key';
+const TOKEN = '0x1000000000000000000000000000000000000001';
+
+// API server on a free port; get(path) answers { status, body }
+async function serve(handlers, options) {
+    const app = express();
+    app.use('/api/v1', createApiRouter(handlers, { apiKeys: [KEY], ...options }));
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    const get = async (path) => {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}/api/v1${path}`, { headers: { 'X-API-Key': KEY } });
+        return { status: response.status, body: await response.json() };
+    };
+    return { server, get };
+}
+
+test('api: analyses run as queued jobs, cancelled with a 504 once the request times out', async () => {
+    const jobQueue = new JobQueue({ concurrency: 1 });
+    let aborted = false;
+    const analyzer = {
+        // Never finishes on its own: stops when the job is cancelled
+        analyzeFirstBuyers: (address, limit, { signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => {
+                aborted = true;
+                reject(signal.reason);
+            });
+        })
+    };
+    const { server, get } = await serve({ getAnalyzer: () => analyzer, jobQueue }, { timeoutMs: 50 });
+
+    try {
+        const { status, body } = await get(`/tokens/ethereum/${TOKEN}/buyers`);
+
+        assert.equal(status, 504);
+        assert.match(body.error.message, /try again later/);
+        assert.equal(aborted, true);
+        assert.equal(jobQueue.running, 0);
+    } finally {
+        server.close();
+    }
+});
@@ -0,0 +1,16 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { BundleDetector } = require('../src/bundles');
+
+const EXCHANGE = '0x28c6c06298d514db089934071355e5743bf21d60';
+
+function buyer(rank, fields) {
+    return { rank, wallet: `0xbuyer${rank}`, txHash: `0xtx${rank}`, blockNumber: 100, gasPrice: 20 + rank * 10, priorityFee: rank, supplyPercent: 1, ...fields };
+}
+
+test('detector: a shared funder links buyers, an ignored exchange wallet does not', () => {
+    const funded = funder => [buyer(1, { transactionIndex: 1, funder }), buyer(2, { transactionIndex: 6, funder })];
+
+    assert.equal(new BundleDetector().detect(funded('0xfunder')).length, 1);
+    assert.equal(new BundleDetector({ ignoredFunders: [EXCHANGE] }).detect(funded(EXCHANGE)).length, 0);
+});
@@ -0,0 +1,74 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { FailoverRpcProvider, DEFAULT_OPTIONS } = require('../src/client');
+
+before(() => {
+    for (const method of ['log', 'warn', 'error']) {
+        console[method] = () => {};
+    }
+});
+
+const TOKEN = '0x1000000000000000000000000000000000000001';
+const hex = value => `0x${value.toString(16)}`;
+
+// JSON-RPC node with one log per block that refuses eth_getLogs over more than maxBlocks blocks, like Infura's 10000 results cap
+async function serveNode(maxBlocks, latest) {
+    const ranges = [];
+    const answer = ({ id, method, params }) => {
+        if (method === 'eth_chainId') return { jsonrpc: '2.0', id, result: '0x1' };
+        if (method === 'eth_blockNumber') return { jsonrpc: '2.0', id, result: hex(latest) };
+        const fromBlock = parseInt(params[0].fromBlock, 16);
+        const toBlock = parseInt(params[0].toBlock, 16);
+        ranges.push([fromBlock, toBlock]);
+        if (toBlock - fromBlock + 1 > maxBlocks) {
+            return { jsonrpc: '2.0', id, error: { code: -32005, message: 'query returned more than 10000 results' } };
+        }
+        const logs = [];
+        for (let block = fromBlock; block <= toBlock; block++) {
+            logs.push({
+                address: TOKEN,
+                blockNumber: hex(block),
+                blockHash: `0x${block.toString(16).padStart(64, '0')}`,
+                transactionHash: `0x${(block + 1).toString(16).padStart(64, '0')}`,
+                transactionIndex: '0x0',
+                logIndex: '0x0',
+                data: '0x',
+                topics: [],
+                removed: false
+            });
+        }
+        return { jsonrpc: '2.0', id, result: logs };
+    };
+
+    const server = await new Promise(resolve => {
+        const listening = http.createServer((request, response) => {
+            let body = '';
+            request.on('data', chunk => { body += chunk; });
+            request.on('end', () => {
+                const payload = JSON.parse(body);
+                const result = Array.isArray(payload) ? payload.map(answer) : answer(payload);
+                response.setHeader('content-type', 'application/json');
+                response.end(JSON.stringify(result));
+            });
+        }).listen(0, () => resolve(listening));
+    });
+    return { server, ranges, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+test('client: getLogs splits a range the node refuses for too many results instead of retrying it', async () => {
+    const node = await serveNode(4, 100);
+    try {
+        const provider = new FailoverRpcProvider([node.url], { name: 'test', chainId: 1 }, { ...DEFAULT_OPTIONS, retryDelay: 1 });
+        const logs = await provider.getLogs({ address: TOKEN, fromBlock: 10, toBlock: 25 });
+        provider.destroy();
+
+        assert.deepEqual(logs.map(log => log.blockNumber), Array.from({ length: 16 }, (_, index) => 10 + index));
+        // Each refused range was asked once, then only its halves
+        const asked = node.ranges.map(range => range.join('-'));
+        assert.equal(asked.filter(range => range === '10-25').length, 1);
+        assert.equal(new Set(asked).size, asked.length);
+    } finally {
+        node.server.close();
+    }
+});
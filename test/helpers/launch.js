@@ -0,0 +1,370 @@
+const { ethers } = require('ethers');
+const { getChain } = require('../../src/chains');
+const { emptyFixture } = require('../../src/fixtures');
+const { V2_FACTORY_IFACE, V2_PAIR_IFACE } = require('../../src/analyzer');
+
+// Builds fixtures shaped like recorded ones for a token launch on a Uniswap V2 pair against the wrapped native coin:
+// every action becomes a mined transaction with its raw block, transaction, receipt, logs and explorer rows
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const TOKEN_IFACE = new ethers.Interface([
+    'function name() view returns (string)',
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)',
+    'function totalSupply() view returns (uint256)',
+    'function balanceOf(address) view returns (uint256)'
+]);
+const FACTORY_IFACE = new ethers.Interface([
+    'function getPair(address, address) view returns (address)',
+    'function getPool(address, address, uint24) view returns (address)'
+]);
+const PAIR_IFACE = new ethers.Interface(['function getReserves() view returns (uint112, uint112, uint32)']);
+const CALLS_IFACE = new ethers.Interface([
+    'function openTrading()',
+    'function approve(address, uint256)',
+    'function swapExactETHForTokens(uint256, address[], address, uint256)'
+]);
+const APPROVAL_TOPIC = ethers.id('Approval(address,address,uint256)');
+
+const TOKEN = '0x1000000000000000000000000000000000000001';
+const BLOCK_TIME = 12;
+const BASE_FEE = ethers.parseUnits('10', 'gwei');
+const BUILDER = '0x95222290dd7278aa3ddd389cc1e1d165cc4bafe5';
+
+// Deterministic addresses for readable tests: address('buyer', 1)
+function address(label, index = 0) {
+    return ethers.dataSlice(ethers.id(`${label}:${index}`), 12).toLowerCase();
+}
+
+const hex = value => ethers.toQuantity(value);
+const word = value => ethers.zeroPadValue(value, 32);
+
+class LaunchBuilder {
+    constructor({ chain = 'ethereum', startBlock = 19000000, startTime = 1700000000 } = {}) {
+        this.chain = getChain(chain);
+        this.startBlock = startBlock;
+        this.startTime = startTime;
+        this.fixture = emptyFixture(this.chain, startBlock);
+        this.router = this.chain.routers[0];
+        this.factory = this.chain.dexes.find(dex => dex.version === 'v2').factory;
+        this.weth = this.chain.wrappedNative;
+        this.balances = new Map();
+        this.reserves = { token: 0n, quote: 0n };
+        this.supply = 0n;
+        this.supplyChanges = new Map();
+        this.blocks = new Map();
+        this.txCount = 0;
+    }
+
+    // Deploys the token: the whole supply is minted to the deployer
+    token({ name = 'Test Token', symbol = 'TEST', decimals = 18, supply = 1000000000n, block = this.startBlock } = {}) {
+        this.address = TOKEN;
+        this.deployer = address('deployer');
+        this.info = { name, symbol, decimals };
+        this.fixture.explorer.contracts[this.address] = {
+            creation: { contractAddress: this.address, contractCreator: this.deployer, txHash: ethers.id('creation') }
+        };
+        this.mine({ block, index: 0, from: this.deployer, to: null, transfers: [[ethers.ZeroAddress, this.deployer, this.units(supply)]] });
+        return this;
+    }
+
+    // Creates the pair and adds liquidity in one transaction, as launch scripts do
+    launch({ block, index = 0, tokens, eth }) {
+        this.pair = '0x2000000000000000000000000000000000000002';
+        const tokenAmount = this.units(tokens);
+        const quoteAmount = ethers.parseEther(String(eth));
+        const [token0, token1] = this.tokenIsToken0() ? [this.address, this.weth] : [this.weth, this.address];
+        this.reserves = { token: this.reserves.token + tokenAmount, quote: this.reserves.quote + quoteAmount };
+
+        this.mine({
+            block,
+            index,
+            from: this.deployer,
+            to: this.router,
+            transfers: [[this.deployer, this.pair, tokenAmount]],
+            logs: [
+                { address: this.factory, ...V2_FACTORY_IFACE.encodeEventLog('PairCreated', [token0, token1, this.pair, 1n]) },
+                { address: this.pair, ...V2_PAIR_IFACE.encodeEventLog('Mint', [this.router, ...this.ordered(tokenAmount, quoteAmount)]) }
+            ]
+        });
+        return this;
+    }
+
+    // One buy through the router. tax: share of the bought tokens withheld (fee-on-transfer), sent to taxWallet (the token contract by default)
+    buy({ block, index, wallet, tokens, eth, gasPrice = 30, tip = 2, bribe = 0, tax = 0, taxWallet }) {
+        return this.bundle({ block, index, from: wallet, buys: [{ wallet, tokens, eth, tax, taxWallet }], gasPrice, tip, bribe });
+    }
+
+    // Several buys in one transaction (a bundler contract buying for each wallet)
+    bundle({ block, index, from, buys, gasPrice = 30, tip = 2, bribe = 0 }) {
+        const transfers = [];
+        const logs = [];
+        for (const { wallet, tokens, eth, tax = 0, taxWallet = this.address } of buys) {
+            const tokenAmount = this.units(tokens);
+            const quoteAmount = ethers.parseEther(String(eth));
+            const fee = (tokenAmount * BigInt(Math.round(tax * 100))) / 10000n;
+            this.reserves = { token: this.reserves.token - tokenAmount, quote: this.reserves.quote + quoteAmount };
+
+            transfers.push([this.pair, wallet, tokenAmount - fee]);
+            if (fee > 0n) transfers.push([this.pair, taxWallet, fee]);
+            const [amount0In, amount1In] = this.ordered(0n, quoteAmount);
+            const [amount0Out, amount1Out] = this.ordered(tokenAmount, 0n);
+            logs.push({ address: this.pair, ...V2_PAIR_IFACE.encodeEventLog('Swap', [this.router, amount0In, amount1In, amount0Out, amount1Out, wallet]) });
+        }
+        this.mine({ block, index, from, to: this.router, transfers, logs, gasPrice, tip, bribe });
+        return this;
+    }
+
+    // Tokens sold back to the pair through the router
+    sell({ block, index, wallet, tokens, eth }) {
+        const tokenAmount = this.units(tokens);
+        const quoteAmount = ethers.parseEther(String(eth));
+        this.reserves = { token: this.reserves.token + tokenAmount, quote: this.reserves.quote - quoteAmount };
+
+        const [amount0In, amount1In] = this.ordered(tokenAmount, 0n);
+        const [amount0Out, amount1Out] = this.ordered(0n, quoteAmount);
+        this.mine({
+            block,
+            index,
+            from: wallet,
+            to: this.router,
+            transfers: [[wallet, this.pair, tokenAmount]],
+            logs: [{ address: this.pair, ...V2_PAIR_IFACE.encodeEventLog('Swap', [this.router, amount0In, amount1In, amount0Out, amount1Out, this.router]) }]
+        });
+        return this;
+    }
+
+    // The owner switching trading on: a call to the token, no token movement
+    enableTrading({ block, index }) {
+        this.mine({ block, index, from: this.deployer, to: this.address, input: CALLS_IFACE.encodeFunctionData('openTrading', []) });
+        return this;
+    }
+
+    approve({ block, index, wallet }) {
+        this.mine({
+            block,
+            index,
+            from: wallet,
+            to: this.address,
+            input: CALLS_IFACE.encodeFunctionData('approve', [this.router, ethers.MaxUint256]),
+            logs: [{ address: this.address, topics: [APPROVAL_TOPIC, word(wallet), word(this.router)], data: ethers.toBeHex(ethers.MaxUint256, 32) }]
+        });
+        return this;
+    }
+
+    // A snipe that reverted (trading still closed, slippage): no logs, only the token in the swap path
+    failedBuy({ block, index, wallet, gasPrice = 30, tip = 2 }) {
+        const input = CALLS_IFACE.encodeFunctionData('swapExactETHForTokens', [0n, [this.weth, this.address], wallet, 0n]);
+        this.mine({ block, index, from: wallet, to: this.router, input, gasPrice, tip, status: 0 });
+        return this;
+    }
+
+    // Someone else's transaction in the same block
+    unrelated({ block, index }) {
+        this.mine({ block, index, from: address('stranger', index), to: address('elsewhere', index) });
+        return this;
+    }
+
+    // Plain transfers from one wallet to many (airdrops, team allocations)
+    airdrop({ block, index, from = this.deployer, to, tokens }) {
+        this.mine({ block, index, from, to: address('disperse'), transfers: to.map(recipient => [from, recipient, this.units(tokens)]) });
+        return this;
+    }
+
+    // Native coin sent to a wallet before it buys: what funding traces follow
+    fund({ block, index = 0, wallet, from, eth = 1 }) {
+        const timeStamp = String(this.blockTime(block));
+        this.fixture.explorer.txlist.push({
+            hash: ethers.id(`fund:${wallet}:${from}:${block}`),
+            blockNumber: String(block),
+            timeStamp,
+            transactionIndex: String(index),
+            from,
+            to: wallet,
+            value: ethers.parseEther(String(eth)).toString(),
+            isError: '0',
+            input: '0x'
+        });
+        return this;
+    }
+
+    // Tokens destroyed by their holder: the total supply shrinks from this block on
+    burn({ block, index, wallet, tokens }) {
+        this.mine({ block, index, from: wallet, to: this.address, transfers: [[wallet, ethers.ZeroAddress, this.units(tokens)]] });
+        return this;
+    }
+
+    // Fixture as the recorder would have saved it, latest block = `latestBlock`
+    build({ latestBlock } = {}) {
+        const { rpc } = this.fixture;
+        this.fixture.latestBlock = latestBlock || Math.max(...this.blocks.keys()) + 10;
+        rpc.blocks = [...this.blocks.values()].sort((a, b) => Number(a.number) - Number(b.number));
+
+        const call = (to, iface, name, args, result, blockTag) => {
+            const entry = { to: to.toLowerCase(), data: iface.encodeFunctionData(name, args).toLowerCase(), result: iface.encodeFunctionResult(name, result) };
+            rpc.calls.push(blockTag !== undefined ? { ...entry, blockTag: hex(blockTag) } : entry);
+        };
+        call(this.address, TOKEN_IFACE, 'name', [], [this.info.name]);
+        call(this.address, TOKEN_IFACE, 'symbol', [], [this.info.symbol]);
+        call(this.address, TOKEN_IFACE, 'decimals', [], [this.info.decimals]);
+        call(this.address, TOKEN_IFACE, 'totalSupply', [], [this.supply]);
+        // Historical reads: the supply as of every mined block
+        let supply = 0n;
+        for (const number of [...this.blocks.keys()].sort((a, b) => a - b)) {
+            if (this.supplyChanges.has(number)) supply = this.supplyChanges.get(number);
+            call(this.address, TOKEN_IFACE, 'totalSupply', [], [supply], number);
+        }
+        for (const [holder, balance] of this.balances) {
+            call(this.address, TOKEN_IFACE, 'balanceOf', [holder], [balance]);
+        }
+
+        if (this.pair) {
+            call(this.factory, FACTORY_IFACE, 'getPair', [ethers.getAddress(this.address), ethers.getAddress(this.weth)], [this.pair]);
+            call(this.weth, TOKEN_IFACE, 'balanceOf', [this.pair], [this.reserves.quote]);
+            call(this.pair, PAIR_IFACE, 'getReserves', [], [...this.ordered(this.reserves.token, this.reserves.quote), 0]);
+        }
+        const v3 = this.chain.dexes.find(dex => dex.version === 'v3');
+        for (const fee of v3 ? v3.fees : []) {
+            call(v3.factory, FACTORY_IFACE, 'getPool', [ethers.getAddress(this.address), ethers.getAddress(this.weth), fee], [ethers.ZeroAddress]);
+        }
+
+        return JSON.parse(JSON.stringify(this.fixture));
+    }
+
+    units(tokens) {
+        return BigInt(tokens) * 10n ** BigInt(this.info.decimals);
+    }
+
+    tokenIsToken0() {
+        return this.address.toLowerCase() < this.weth.toLowerCase();
+    }
+
+    // (token, quote) amounts in pair order
+    ordered(tokenAmount, quoteAmount) {
+        return this.tokenIsToken0() ? [tokenAmount, quoteAmount] : [quoteAmount, tokenAmount];
+    }
+
+    blockTime(block) {
+        return this.startTime + (block - this.startBlock) * BLOCK_TIME;
+    }
+
+    getBlock(number) {
+        if (!this.blocks.has(number)) {
+            this.blocks.set(number, {
+                number: hex(number),
+                hash: ethers.id(`block:${number}`),
+                parentHash: ethers.id(`block:${number - 1}`),
+                timestamp: hex(this.blockTime(number)),
+                miner: BUILDER,
+                baseFeePerGas: hex(BASE_FEE),
+                gasLimit: hex(30000000),
+                gasUsed: hex(15000000),
+                difficulty: '0x0',
+                nonce: '0x0000000000000000',
+                extraData: '0x',
+                transactions: []
+            });
+        }
+        return this.blocks.get(number);
+    }
+
+    // Records one mined transaction: raw tx, receipt and logs for the node, token transfer and bribe rows for the explorer
+    mine({ block, index, from, to, transfers = [], logs = [], gasPrice = 30, tip = 2, bribe = 0, input = '0x', status = 1 }) {
+        const blockData = this.getBlock(block);
+        const hash = ethers.id(`tx:${this.txCount++}`);
+        const effectiveGasPrice = ethers.parseUnits(String(gasPrice), 'gwei');
+        const priorityFee = ethers.parseUnits(String(tip), 'gwei');
+        const timeStamp = String(this.blockTime(block));
+        const position = { blockHash: blockData.hash, blockNumber: hex(block), transactionHash: hash, transactionIndex: hex(index) };
+
+        const transferLogs = transfers.map(([sender, recipient, value]) => ({
+            address: this.address,
+            topics: [TRANSFER_TOPIC, word(sender), word(recipient)],
+            data: ethers.toBeHex(value, 32)
+        }));
+        const rawLogs = [...logs, ...transferLogs].map((log, logIndex) => ({
+            ...position,
+            address: log.address.toLowerCase(),
+            topics: log.topics,
+            data: log.data,
+            logIndex: hex(index * 100 + logIndex),
+            removed: false
+        }));
+
+        transfers.forEach(([sender, recipient, value], transferIndex) => {
+            if (sender !== ethers.ZeroAddress) this.balances.set(sender, (this.balances.get(sender) || 0n) - value);
+            if (recipient !== ethers.ZeroAddress) this.balances.set(recipient, (this.balances.get(recipient) || 0n) + value);
+            if (sender === ethers.ZeroAddress || recipient === ethers.ZeroAddress) {
+                this.supply += sender === ethers.ZeroAddress ? value : -value;
+                this.supplyChanges.set(block, this.supply);
+            }
+            this.fixture.explorer.tokentx.push({
+                blockNumber: String(block),
+                timeStamp,
+                hash,
+                from: sender,
+                to: recipient,
+                value: value.toString(),
+                contractAddress: this.address,
+                tokenName: this.info.name,
+                tokenSymbol: this.info.symbol,
+                tokenDecimal: String(this.info.decimals),
+                transactionIndex: String(index),
+                logIndex: String(Number(rawLogs[logs.length + transferIndex].logIndex))
+            });
+        });
+
+        this.fixture.rpc.transactions.push({
+            ...position,
+            hash,
+            from,
+            to,
+            value: '0x0',
+            gas: hex(500000),
+            gasPrice: hex(effectiveGasPrice),
+            maxFeePerGas: hex(effectiveGasPrice),
+            maxPriorityFeePerGas: hex(priorityFee),
+            input,
+            nonce: '0x0',
+            type: '0x2',
+            chainId: hex(this.chain.chainId),
+            accessList: [],
+            r: ethers.id('r'),
+            s: ethers.toBeHex(1n, 32),
+            yParity: '0x0',
+            v: '0x0'
+        });
+        this.fixture.rpc.receipts.push({
+            ...position,
+            from,
+            to,
+            contractAddress: null,
+            gasUsed: hex(150000),
+            cumulativeGasUsed: hex(150000 * (index + 1)),
+            effectiveGasPrice: hex(effectiveGasPrice),
+            logsBloom: `0x${'00'.repeat(256)}`,
+            logs: rawLogs,
+            status: hex(status),
+            type: '0x2'
+        });
+        this.fixture.rpc.logs.push(...rawLogs);
+        blockData.transactions.push(hash);
+
+        if (bribe > 0) {
+            this.fixture.explorer.txlistinternal.push({
+                hash,
+                blockNumber: String(block),
+                timeStamp,
+                from: to,
+                to: BUILDER,
+                value: ethers.parseEther(String(bribe)).toString(),
+                input: '',
+                type: 'call',
+                traceId: '0',
+                isError: '0'
+            });
+        }
+        return hash;
+    }
+}
+
+module.exports = { LaunchBuilder, address, TOKEN, BUILDER };
@@ -0,0 +1,155 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { getChain } = require('../src/chains');
+const { SimpleTokenAnalyzer } = require('../src/analyzer');
+const { FixtureClient } = require('../src/fixtures');
+const { LaunchStore } = require('../src/launches');
+const { LaunchBuilder, address, TOKEN } = require('./helpers/launch');
+
+const LAUNCH = 19000010;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+before(() => {
+    for (const method of ['log', 'warn', 'error']) {
+        console[method] = () => {};
+    }
+});
+
+async function tempStore() {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'launches-'));
+    return new LaunchStore(path.join(directory, 'launches.json'));
+}
+
+// Minimal launch record as the store keeps it
+function launch(symbol, fields = {}) {
+    return {
+        chain: 'ethereum',
+        contractAddress: address('token', symbol),
+        name: symbol,
+        symbol,
+        launchBlock: LAUNCH,
+        launchedAt: new Date(Date.now() - DAY_MS).toISOString(),
+        recordedAt: new Date().toISOString(),
+        buyers: 50,
+        bundles: 0,
+        bundledWallets: 0,
+        bundledSupply: 0,
+        snipers: 0,
+        sniperWallets: [],
+        bribes: 0,
+        timeToFirstSell: null,
+        ...fields
+    };
+}
+
+function storeWith(store, records) {
+    for (const record of records) {
+        store.data.launches[store.getKey(record.chain, record.contractAddress)] = record;
+    }
+    return store;
+}
+
+test('an analysis leaves a launch record: bundle, snipers of the first blocks, bribes, first sell', async () => {
+    const launchBuilder = new LaunchBuilder().token().launch({ block: LAUNCH, index: 0, tokens: 800000000, eth: 5 });
+    const funder = address('funder');
+    for (let i = 1; i <= 3; i++) {
+        launchBuilder.fund({ block: LAUNCH - 5, wallet: address('bundle', i), from: funder });
+        launchBuilder.buy({ block: LAUNCH, index: i, wallet: address('bundle', i), tokens: 20000000, eth: 0.3, gasPrice: 50, tip: 40, bribe: i === 1 ? 0.5 : 0 });
+    }
+    launchBuilder.buy({ block: LAUNCH + 1, index: 2, wallet: address('buyer', 1), tokens: 5000000, eth: 0.05, gasPrice: 25 });
+    launchBuilder.buy({ block: LAUNCH + 2, index: 5, wallet: address('buyer', 2), tokens: 4000000, eth: 0.04, gasPrice: 35 });
+    launchBuilder.buy({ block: LAUNCH + 6, index: 1, wallet: address('buyer', 3), tokens: 3000000, eth: 0.03, gasPrice: 18 });
+    launchBuilder.sell({ block: LAUNCH + 10, index: 0, wallet: address('buyer', 1), tokens: 5000000, eth: 0.06 });
+
+    const store = await tempStore();
+    const analyzer = new SimpleTokenAnalyzer(getChain('ethereum'), null, { client: new FixtureClient(launchBuilder.build()), launches: store });
+    await analyzer.analyzeFirstBuyers(TOKEN, 100);
+
+    const record = store.get('ethereum', TOKEN);
+    assert.equal(record.launchBlock, LAUNCH);
+    assert.equal(record.buyers, 6);
+    assert.equal(record.bundledWallets, 3);
+    assert.equal(record.bundledSupply, 6);
+    assert.equal(record.snipers, 2);
+    assert.deepEqual(record.sniperWallets, [address('buyer', 1), address('buyer', 2)]);
+    assert.equal(record.bribes, 0.5);
+    assert.equal(record.timeToFirstSell, 10 * 12 * 1000);
+
+    // Persisted, and read back as written
+    const reloaded = new LaunchStore(store.file);
+    await reloaded.load();
+    assert.deepEqual(reloaded.get('ethereum', TOKEN), record);
+});
+
+test('a launch record does not depend on the number of buyers the chat asked for', async () => {
+    const launchBuilder = new LaunchBuilder().token().launch({ block: LAUNCH, index: 0, tokens: 800000000, eth: 5 });
+    for (let i = 1; i <= 5; i++) {
+        launchBuilder.buy({ block: LAUNCH + i, index: 1, wallet: address('buyer', i), tokens: 1000000, eth: 0.01, bribe: 0.1 });
+    }
+
+    const store = await tempStore();
+    const analyzer = new SimpleTokenAnalyzer(getChain('ethereum'), null, { client: new FixtureClient(launchBuilder.build()), launches: store });
+    const results = await analyzer.analyzeFirstBuyers(TOKEN, 2);
+
+    assert.equal(results.buyers.length, 2);
+    const record = store.get('ethereum', TOKEN);
+    assert.equal(record.buyers, 5);
+    assert.equal(record.snipers, 3);
+    assert.equal(record.bribes.toFixed(1), '0.5');
+});
+
+test('compare: percentiles against the other launches of the chain, ties counting half', async () => {
+    const store = storeWith(await tempStore(), [
+        launch('A', { snipers: 1, bribes: 0.1, timeToFirstSell: 60000 }),
+        launch('B', { snipers: 2, bribes: 0.2, timeToFirstSell: 120000 }),
+        launch('C', { snipers: 8, bribes: 0.2 }),
+        launch('D', { snipers: 9, bribes: 1 }),
+        launch('E', { chain: 'base', snipers: 100 }),
+        launch('X', { snipers: 5, bribes: 0.2, timeToFirstSell: 90000 })
+    ]);
+
+    const comparison = store.compare('ethereum', address('token', 'X'));
+
+    assert.equal(comparison.launches, 4);
+    assert.equal(comparison.metrics.snipers.percentile, 50);
+    assert.equal(comparison.metrics.snipers.median, 5);
+    assert.equal(comparison.metrics.bribes.percentile, 50);
+    // Launches without a sell yet are left out of that metric
+    assert.equal(comparison.metrics.timeToFirstSell.compared, 2);
+    assert.equal(comparison.metrics.timeToFirstSell.percentile, 50);
+    assert.equal(store.compare('ethereum', address('token', 'unknown')), null);
+});
+
+test('compare: a first launch has nothing to rank against', async () => {
+    const store = storeWith(await tempStore(), [launch('X', { snipers: 5 })]);
+
+    const comparison = store.compare('ethereum', address('token', 'X'));
+
+    assert.equal(comparison.launches, 0);
+    assert.equal(comparison.metrics.snipers.value, 5);
+    assert.equal(comparison.metrics.snipers.percentile, null);
+});
+
+test('leaderboard: most sniped launches and repeat snipers within the window', async () => {
+    const sniper = address('sniper', 1);
+    const store = storeWith(await tempStore(), [
+        launch('OLD', { snipers: 50, sniperWallets: [sniper, address('sniper', 2)], launchedAt: new Date(Date.now() - 20 * DAY_MS).toISOString() }),
+        launch('A', { snipers: 3, sniperWallets: [sniper, address('sniper', 2), address('sniper', 3)] }),
+        launch('B', { snipers: 7, sniperWallets: [sniper, address('sniper', 4)] }),
+        launch('C', { snipers: 7, bundledWallets: 4, sniperWallets: [sniper, address('sniper', 3)] })
+    ]);
+
+    const week = store.leaderboard('ethereum', new Date(Date.now() - 7 * DAY_MS));
+
+    assert.equal(week.total, 3);
+    assert.deepEqual(week.launches.map(record => record.symbol), ['C', 'B', 'A']);
+    assert.deepEqual(week.wallets.map(entry => [entry.wallet, entry.launches]), [[sniper, 3], [address('sniper', 3), 2]]);
+
+    const allTime = store.leaderboard('ethereum');
+    assert.equal(allTime.total, 4);
+    assert.equal(allTime.launches[0].symbol, 'OLD');
+    assert.equal(allTime.wallets[0].launches, 4);
+});
@@ -0,0 +1,28 @@
+// Records what a live analysis fetches as a fixture for FixtureClient: node test/record.js <chain> <token> <file.json>
+const { getChain } = require('../src/chains');
+const { DataClient } = require('../src/client');
+const { SimpleTokenAnalyzer } = require('../src/analyzer');
+const { RecordingClient } = require('../src/fixtures');
+
+async function main() {
+    const [chainName, contractAddress, file] = process.argv.slice(2);
+    const chain = chainName ? getChain(chainName) : null;
+    if (!chain || !contractAddress || !file) {
+        console.error('Usage: node test/record.js <chain> <token address> <fixture file>');
+        process.exitCode = 1;
+        return;
+    }
+
+    const client = new RecordingClient(new DataClient(chain));
+    const analyzer = new SimpleTokenAnalyzer(chain, null, { client });
+    const results = await analyzer.analyzeFirstBuyers(contractAddress, 100);
+    await client.save(file);
+
+    const { rpc, explorer } = client.fixture;
+    console.log(`✅ ${results.buyers.length} buyers: ${rpc.logs.length} logs, ${rpc.transactions.length} transactions, ${explorer.tokentx.length} token transfers saved to ${file}`);
+}
+
+main().catch((error) => {
+    console.error('❌ Recording failed:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,39 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { getChain } = require('../src/chains');
+const { SafetyScanner } = require('../src/safety');
+
+before(() => {
+    for (const method of ['log', 'warn', 'error']) {
+        console[method] = () => {};
+    }
+});
+
+const TOKEN = '0x1000000000000000000000000000000000000001';
+const POOL = { address: '0x2000000000000000000000000000000000000002' };
+
+// Node answering eth_simulateV1 with the given batches in turn; an Error entry is thrown instead
+function scanner(batches) {
+    const provider = {
+        send: async () => {
+            const batch = batches.shift();
+            if (batch instanceof Error) throw batch;
+            return [{ calls: batch.map(returned => ({ status: '0x1', returnData: ethers.toBeHex(returned, 32) })) }];
+        },
+        call: async () => {
+            throw new Error('eth_call should not be used');
+        }
+    };
+    return new SafetyScanner({ chain: getChain('ethereum'), provider });
+}
+
+test('simulation: a measured buy is kept when the sell batch fails', async () => {
+    // Probe of 1000 tokens, 950 received: 5% buy tax
+    const simulation = await scanner([[1n, 950n], new Error('request timed out')]).simulate(TOKEN, POOL, 1000000n);
+
+    assert.equal(simulation.method, 'eth_simulateV1');
+    assert.equal(simulation.buyTax, 5);
+    assert.equal(simulation.sellTax, null);
+    assert.equal(simulation.buyError, null);
+});
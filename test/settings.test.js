@@ -0,0 +1,56 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { SettingsStore } = require('../src/settings');
+
+before(() => {
+    for (const method of ['log', 'warn', 'error']) {
+        console[method] = () => {};
+    }
+});
+
+async function tempStore() {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'settings-'));
+    return new SettingsStore(path.join(directory, 'settings.json'));
+}
+
+test('settings: values are parsed and range-checked, unknown keys are refused', async () => {
+    const store = await tempStore();
+
+    assert.equal(await store.set(1, 'pageSize', '15'), 15);
+    assert.equal(await store.set(1, 'pageSize', '50'), null);
+    // Object.prototype members are not settings
+    assert.equal(await store.set(1, 'constructor', '5'), null);
+    assert.equal(await store.set(1, 'toString', '1'), null);
+    assert.equal(store.get(1).pageSize, 15);
+    assert.equal(store.get(2).pageSize, 10);
+});
+
+test('settings: overlapping saves are written one after another and keep every change', async () => {
+    const store = await tempStore();
+    const write = store.write.bind(store);
+    let writing = 0;
+    let overlapped = false;
+    store.write = async () => {
+        overlapped = overlapped || writing > 0;
+        writing++;
+        await write();
+        writing--;
+    };
+
+    await Promise.all([
+        store.set(1, 'pageSize', '15'),
+        store.set(2, 'language', 'fr'),
+        store.allow(42)
+    ]);
+
+    assert.equal(overlapped, false);
+    const reloaded = new SettingsStore(store.file);
+    await reloaded.load();
+    assert.equal(reloaded.get(1).pageSize, 15);
+    assert.equal(reloaded.get(2).language, 'fr');
+    assert.deepEqual(reloaded.data.allowed, ['42']);
+    assert.deepEqual(await fs.readdir(path.dirname(store.file)), ['settings.json']);
+});
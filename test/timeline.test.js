@@ -0,0 +1,92 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { getChain } = require('../src/chains');
+const { SimpleTokenAnalyzer } = require('../src/analyzer');
+const { FixtureClient } = require('../src/fixtures');
+const { LaunchBuilder, address, TOKEN } = require('./helpers/launch');
+
+const LAUNCH = 19000010;
+
+before(() => {
+    for (const method of ['log', 'warn', 'error']) {
+        console[method] = () => {};
+    }
+});
+
+// Liquidity first, then a snipe reverting right before the owner opens trading, bundled buys behind it
+function sandwichedLaunch() {
+    const launch = new LaunchBuilder().token().launch({ block: LAUNCH, index: 0, tokens: 800000000, eth: 5 });
+    launch.unrelated({ block: LAUNCH, index: 1 });
+    launch.failedBuy({ block: LAUNCH + 5, index: 0, wallet: address('sniper', 1), gasPrice: 80, tip: 70 });
+    launch.enableTrading({ block: LAUNCH + 5, index: 1 });
+    launch.buy({ block: LAUNCH + 5, index: 2, wallet: address('bundle', 1), tokens: 20000000, eth: 0.3, gasPrice: 50, tip: 40, bribe: 0.5 });
+    launch.buy({ block: LAUNCH + 5, index: 3, wallet: address('bundle', 2), tokens: 20000000, eth: 0.3, gasPrice: 50, tip: 40 });
+    launch.unrelated({ block: LAUNCH + 5, index: 4 });
+    launch.approve({ block: LAUNCH + 6, index: 0, wallet: address('bundle', 1) });
+    launch.sell({ block: LAUNCH + 6, index: 1, wallet: address('bundle', 1), tokens: 20000000, eth: 0.28 });
+    launch.buy({ block: LAUNCH + 9, index: 0, wallet: address('buyer', 1), tokens: 1000000, eth: 0.01 });
+    return launch.build();
+}
+
+async function timeline(fixture, blocks) {
+    const analyzer = new SimpleTokenAnalyzer(getChain(fixture.chain), null, { client: new FixtureClient(fixture) });
+    return { analyzer, timeline: await analyzer.getTimeline(TOKEN, blocks) };
+}
+
+test('timeline: the liquidity block, then the first blocks of trading', async () => {
+    const { timeline: result } = await timeline(sandwichedLaunch(), 2);
+
+    assert.equal(result.liquidityBlock, LAUNCH);
+    assert.equal(result.tradingBlock, LAUNCH + 5);
+    assert.deepEqual(result.blocks.map(block => block.number), [LAUNCH, LAUNCH + 5, LAUNCH + 6]);
+});
+
+test('timeline: every transaction touching the token, decoded in block order', async () => {
+    const { timeline: result } = await timeline(sandwichedLaunch(), 2);
+    const [liquidityBlock, openBlock, nextBlock] = result.blocks;
+
+    // Unrelated transactions of the same blocks are left out
+    assert.equal(liquidityBlock.transactionCount, 2);
+    assert.deepEqual(liquidityBlock.transactions.map(tx => tx.kind), ['liquidity']);
+    assert.equal(liquidityBlock.transactions[0].actions[0].tokenAmount, 800000000);
+    assert.equal(liquidityBlock.transactions[0].actions[0].quoteAmount, 5);
+
+    assert.deepEqual(openBlock.transactions.map(tx => [tx.position, tx.kind]), [[0, 'reverted'], [1, 'trading'], [2, 'buy'], [3, 'buy']]);
+    const [snipe, open, firstBuy, secondBuy] = openBlock.transactions;
+    assert.equal(snipe.method, 'swapExactETHForTokens');
+    assert.equal(snipe.from, address('sniper', 1));
+    assert.equal(snipe.gasPrice, 80);
+    assert.equal(open.method, 'openTrading');
+    assert.equal(firstBuy.actions[0].recipient, address('bundle', 1));
+    assert.equal(firstBuy.actions[0].tokenAmount, 20000000);
+    assert.equal(firstBuy.bribe, 0.5);
+    assert.equal(firstBuy.priorityFee, 40);
+    assert.equal(secondBuy.bribe, 0);
+
+    assert.deepEqual(nextBlock.transactions.map(tx => tx.kind), ['approve', 'sell']);
+    assert.equal(nextBlock.transactions[1].actions[0].quoteAmount, 0.28);
+});
+
+test('timeline: missing blocks are reported, not dropped', async () => {
+    const fixture = sandwichedLaunch();
+    fixture.rpc.blocks = fixture.rpc.blocks.filter(block => Number(block.number) !== LAUNCH + 6);
+
+    const { timeline: result } = await timeline(fixture, 2);
+
+    assert.equal(result.blocks[2].number, LAUNCH + 6);
+    assert.equal(result.blocks[2].missing, true);
+});
+
+test('timeline: messages stay under Telegram\'s limit', async () => {
+    const launch = new LaunchBuilder().token().launch({ block: LAUNCH, index: 0, tokens: 800000000, eth: 5 });
+    for (let i = 1; i <= 60; i++) {
+        launch.buy({ block: LAUNCH + 1, index: i, wallet: address('buyer', i), tokens: 100000, eth: 0.001 });
+    }
+    const { analyzer, timeline: result } = await timeline(launch.build(), 1);
+
+    const messages = analyzer.formatTimeline(result);
+
+    assert.ok(messages.length > 1);
+    assert.ok(messages.every(message => message.length <= 4000));
+    assert.ok(messages.join('\n').includes('20 more transactions'));
+});